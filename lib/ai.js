@@ -0,0 +1,282 @@
+// lib/ai.js
+// One AI client for the whole app. Callers describe a request once; the provider behind it
+// (Gemini or the local stub) is picked from config.
+//
+// Request shape:
+//   {
+//     task: "document-analysis" | "swot" | "chat" | "translate" | "draft-clause" | ...,   // used for logging and by the stub
+//     system: "system instruction",                        // optional
+//     prompt: "text" | contents: [{ role: "user" | "model", parts: [{ text } | { inlineData: { data, mimeType } }] }],
+//     json: true,                                          // ask for a JSON response
+//     schema: { ... },                                     // generateJSON only, see lib/schema.js
+//     onToken: (text) => {},                               // optional: stream the reply in chunks
+//     onStage: (stage) => {},                              // optional: generateJSON reports "repairing"
+//     signal: AbortSignal                                  // optional: cancels the call (AI_CANCELLED)
+//   }
+// Every failure surfaces as an AIError with a stable `code`. A streamed call is not retried once
+// it has emitted tokens, since the caller has already shown them.
+
+const crypto = require("crypto");
+const axios = require("axios");
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const schemas = require("./schema");
+
+class AIError extends Error {
+    constructor(code, message, { status, retryable = false, provider, cause, issues } = {}) {
+        super(message);
+        this.name = "AIError";
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.provider = provider;
+        if (cause) this.cause = cause;
+        if (issues) this.issues = issues;
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message, retryable: this.retryable, ...(this.issues ? { issues: this.issues } : {}) };
+    }
+}
+
+// HTTP status to send when an AIError reaches a route
+const HTTP_STATUS = {
+    AI_NOT_CONFIGURED: 503,
+    AI_TIMEOUT: 504,
+    AI_RATE_LIMITED: 503,
+    AI_BAD_JSON: 502,
+    AI_INVALID_OUTPUT: 502,
+    AI_EMPTY_RESPONSE: 502,
+    AI_PROVIDER_ERROR: 502,
+    AI_CANCELLED: 499
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const cancelled = (provider) => new AIError("AI_CANCELLED", "The AI request was cancelled", { provider });
+
+function toContents({ prompt, contents }) {
+    if (contents) return contents;
+    return [{ role: "user", parts: [{ text: String(prompt ?? "") }] }];
+}
+
+// Strips markdown fences and parses; throws AI_BAD_JSON with the raw text attached
+function parseJSON(text, provider) {
+    const cleaned = String(text).replace(/```json/gi, "").replace(/```/g, "").trim();
+    try {
+        return JSON.parse(cleaned);
+    } catch (e) {
+        const err = new AIError("AI_BAD_JSON", "The AI returned a response that is not valid JSON", { provider });
+        err.raw = cleaned;
+        throw err;
+    }
+}
+
+// Maps SDK / HTTP failures onto AIError codes
+function classify(e, provider) {
+    if (e instanceof AIError) return e;
+    const status = e.status || e.response?.status;
+    const message = e.response?.data?.error?.message || e.message || "unknown error";
+    if (e.name === "AbortError" || e.code === "ECONNABORTED" || /timed? ?out/i.test(message)) {
+        return new AIError("AI_TIMEOUT", "The AI request timed out", { provider, retryable: true, cause: e });
+    }
+    if (status === 429) return new AIError("AI_RATE_LIMITED", "The AI service is busy, please retry shortly", { status, provider, retryable: true, cause: e });
+    const retryable = !status || status >= 500;
+    return new AIError("AI_PROVIDER_ERROR", "AI Error: " + message, { status, provider, retryable, cause: e });
+}
+
+// --- Providers ---
+
+function createGeminiProvider({ apiKey, model, timeoutMs }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    async function viaSdk(req) {
+        const m = genAI.getGenerativeModel({ model, ...(req.system ? { systemInstruction: req.system } : {}) }, { timeout: timeoutMs });
+        const request = {
+            contents: toContents(req),
+            generationConfig: req.json ? { responseMimeType: "application/json" } : undefined
+        };
+        const options = req.signal ? { signal: req.signal } : {};
+        if (!req.onToken) return (await m.generateContent(request, options)).response.text();
+        const result = await m.generateContentStream(request, options);
+        let text = "";
+        for await (const chunk of result.stream) {
+            const piece = chunk.text();
+            if (piece) { text += piece; req.onToken(piece); }
+        }
+        return text;
+    }
+
+    async function viaRest(req) {
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+        const body = {
+            contents: toContents(req).map(c => ({
+                role: c.role,
+                parts: c.parts.map(p => p.inlineData ? { inlineData: { data: p.inlineData.data, mime_type: p.inlineData.mimeType } } : p)
+            })),
+            ...(req.system ? { systemInstruction: { parts: [{ text: req.system }] } } : {}),
+            ...(req.json ? { generationConfig: { responseMimeType: "application/json" } } : {})
+        };
+        const r = await axios.post(url, body, { headers: { 'Content-Type': 'application/json' }, timeout: timeoutMs, signal: req.signal });
+        const text = (r.data?.candidates?.[0]?.content?.parts || []).map(p => p.text || "").join("");
+        // No streaming on this path; a streaming caller gets the reply as one chunk
+        if (req.onToken && text) req.onToken(text);
+        return text;
+    }
+
+    return {
+        name: "gemini",
+        model,
+        // SDK first; the raw REST call is kept as a fallback for SDK-level failures
+        async generate(req) {
+            let emitted = false;
+            const onToken = req.onToken && ((t) => { emitted = true; req.onToken(t); });
+            try {
+                return await viaSdk({ ...req, onToken });
+            } catch (sdkErr) {
+                if (req.signal?.aborted) throw cancelled("gemini");
+                const err = classify(sdkErr, "gemini");
+                if (emitted || err.code === "AI_RATE_LIMITED" || err.code === "AI_TIMEOUT") throw err;
+                console.warn(`AI [${req.task}] SDK failed, trying REST:`, err.message);
+                return viaRest(req);
+            }
+        }
+    };
+}
+
+// Deterministic offline model: the same input always gives the same output, so flows can be
+// tested without network access or an API key.
+//
+// By convention callers put instructions first and the user's material in the last part of the
+// last user message; the stub answers from that material only (minus a leading "Label:" line).
+// A repair request answers from the original message, not from the repair instructions.
+// Streaming callers get the reply in small chunks, paced like a real model.
+const STUB_CHUNK_CHARS = 24;
+const STUB_CHUNK_DELAY_MS = 20;
+
+function createStubProvider() {
+    const inputText = (req) => {
+        const users = toContents(req).filter(c => c.role === "user");
+        const last = users[users.length - (req.repair ? 2 : 1)];
+        const part = last?.parts[last.parts.length - 1] || {};
+        const text = part.text ?? `[${part.inlineData?.mimeType || "file"}]`;
+        return text.replace(/^[A-Z][\w ()]*:\s*\n/i, "").replace(/"""/g, "").trim();
+    };
+    const digest = (text) => crypto.createHash("sha256").update(text).digest("hex").slice(0, 8);
+    const firstLine = (text) => (text.split("\n").map(s => s.trim()).find(Boolean) || "").slice(0, 120);
+
+    const responders = {
+        "document-analysis": (text) => ({
+            summary: `Stub summary (${digest(text)}): ${firstLine(text)}`,
+            facts: text.split("\n").map(s => s.trim()).filter(Boolean).slice(0, 5).map((s, i) => `${i + 1}. ${s.slice(0, 160)}`).join("\n"),
+            judgments: [{ title: "Kesavananda Bharati v. State of Kerala", court: "Supreme Court of India", relevance: "Stub reference" }],
+            solutions: ["Consult a lawyer with the document", "Collect supporting evidence"]
+        }),
+        "swot": (text) => ({
+            summary: `Stub SWOT (${digest(text)})`,
+            facts: firstLine(text),
+            strengths: [{ point: "Documented timeline of events", confidence: "High" }],
+            weaknesses: [{ point: "Limited independent witnesses", confidence: "Medium" }],
+            opportunities: [{ point: "Pre-litigation mediation", confidence: "Medium" }],
+            threats: [{ point: "Limitation period may be contested", confidence: "Low" }],
+            arguments: [{ argument: "The claim is an afterthought", rebuttal: "Point to the contemporaneous records", confidence: "Medium" }],
+            statutes: [{ act: "Code of Civil Procedure, 1908", section: "Order XXXVII", relevance: "Stub reference" }]
+        }),
+        "translate": (text) => `Stub translation (${digest(text)}): ${firstLine(text)}`,
+        "draft-clause": (text) => `Stub clause (${digest(text)}): ${firstLine(text)}`,
+        // The turn number shows whether earlier messages of the thread were sent along
+        "chat": (text, req) => `Stub answer (${digest(text)}, turn ${toContents(req).filter(c => c.role === "user").length}): ${firstLine(text)}`
+    };
+
+    return {
+        name: "stub",
+        model: "stub-1",
+        async generate(req) {
+            const text = inputText(req);
+            const respond = responders[req.task];
+            const value = respond ? respond(text, req) : `Stub response (${digest(text)})`;
+            const out = typeof value === "string" ? value : JSON.stringify(value);
+            if (!req.onToken) return out;
+            for (let i = 0; i < out.length; i += STUB_CHUNK_CHARS) {
+                if (req.signal?.aborted) throw cancelled("stub");
+                req.onToken(out.slice(i, i + STUB_CHUNK_CHARS));
+                await sleep(STUB_CHUNK_DELAY_MS);
+            }
+            return out;
+        }
+    };
+}
+
+// --- Client ---
+
+function createAIClient({ provider, apiKey, model = "gemini-2.0-flash", timeoutMs = 60000, maxRetries = 2, retryBaseMs = 500 } = {}) {
+    let impl = null;
+    if (provider === "gemini" && apiKey) impl = createGeminiProvider({ apiKey, model, timeoutMs });
+    else if (provider === "stub") impl = createStubProvider();
+
+    async function generate(req) {
+        if (!impl) throw new AIError("AI_NOT_CONFIGURED", "AI is not configured (set GEMINI_API_KEY or AI_PROVIDER=stub)");
+        let lastErr;
+        let emitted = false;
+        const onToken = req.onToken && ((t) => { emitted = true; req.onToken(t); });
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (req.signal?.aborted) throw cancelled(impl.name);
+            try {
+                const text = await impl.generate({ ...req, onToken });
+                if (!text || !String(text).trim()) throw new AIError("AI_EMPTY_RESPONSE", "The AI returned an empty response", { provider: impl.name, retryable: true });
+                return { text: String(text), provider: impl.name, model: impl.model };
+            } catch (e) {
+                lastErr = req.signal?.aborted ? cancelled(impl.name) : classify(e, impl.name);
+                if (!lastErr.retryable || emitted || attempt === maxRetries) break;
+                const delay = retryBaseMs * 2 ** attempt + Math.floor(Math.random() * retryBaseMs);
+                console.warn(`AI [${req.task}] attempt ${attempt + 1} failed (${lastErr.code}), retrying in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+        throw lastErr;
+    }
+
+    // Parses and, when `req.schema` is set, validates the reply. Returns { value } or { error, raw }.
+    function interpret(text, req, provider) {
+        let parsed;
+        try { parsed = parseJSON(text, provider); }
+        catch (e) { return { error: e, raw: e.raw }; }
+        if (!req.schema) return { value: parsed };
+        const { value, errors } = schemas.validate(req.schema, parsed);
+        if (!errors.length) return { value };
+        const error = new AIError("AI_INVALID_OUTPUT", "The AI response did not match the expected format", { provider, retryable: true, issues: errors.slice(0, 10) });
+        return { error, raw: JSON.stringify(parsed) };
+    }
+
+    // One repair round: the model sees its own answer and what was wrong with it
+    async function generateJSON(req) {
+        const first = await generate({ ...req, json: true });
+        const result = interpret(first.text, req, first.provider);
+        if (!result.error) return result.value;
+
+        const problems = result.error.issues ? result.error.issues.join("\n") : "The response was not valid JSON.";
+        console.warn(`AI [${req.task}] ${result.error.code}, asking for a repair`);
+        if (req.onStage) req.onStage("repairing");
+        const repair = await generate({
+            ...req,
+            json: true,
+            repair: true,
+            contents: [
+                ...toContents(req),
+                { role: "model", parts: [{ text: String(result.raw ?? first.text).slice(0, 20000) }] },
+                { role: "user", parts: [{ text: `Your previous response could not be used:\n${problems}\n\nReply again with JSON ONLY, exactly in this shape:\n${req.schema ? schemas.describe(req.schema) : "(valid JSON)"}` }] }
+            ]
+        });
+        const repaired = interpret(repair.text, req, repair.provider);
+        if (repaired.error) throw repaired.error;
+        return repaired.value;
+    }
+
+    return {
+        get provider() { return impl?.name || "none"; },
+        get model() { return impl?.model || null; },
+        enabled: !!impl,
+        generate,
+        generateJSON
+    };
+}
+
+module.exports = { createAIClient, AIError, HTTP_STATUS, parseJSON };
@@ -0,0 +1,48 @@
+// lib/cache.js
+// In-process LRU cache with a time-to-live per entry. A Map keeps insertion order, so the
+// first key is always the least recently used one.
+
+function createCache({ max = 200, ttlMs = 60 * 60 * 1000 } = {}) {
+    const entries = new Map();
+    let hits = 0, misses = 0;
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry || entry.expires <= Date.now()) {
+            if (entry) entries.delete(key);
+            misses++;
+            return undefined;
+        }
+        // Re-insert to mark as most recently used
+        entries.delete(key);
+        entries.set(key, entry);
+        hits++;
+        return entry.value;
+    }
+
+    function set(key, value, ttl = ttlMs) {
+        entries.delete(key);
+        entries.set(key, { value, expires: Date.now() + ttl });
+        while (entries.size > max) entries.delete(entries.keys().next().value);
+        return value;
+    }
+
+    // Returns the cached value, or runs `load` once and caches what it resolves to.
+    // Failures are not cached. `cached` tells the caller which of the two happened.
+    async function wrap(key, load) {
+        const hit = get(key);
+        if (hit !== undefined) return { value: hit, cached: true };
+        return { value: set(key, await load()), cached: false };
+    }
+
+    return {
+        get,
+        set,
+        wrap,
+        delete: (key) => entries.delete(key),
+        clear: () => entries.clear(),
+        stats: () => ({ size: entries.size, max, ttlMs, hits, misses })
+    };
+}
+
+module.exports = { createCache };
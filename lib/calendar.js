@@ -0,0 +1,105 @@
+// lib/calendar.js
+// Hearing dates ("YYYY-MM-DD") and times ("HH:MM") are Indian Standard Time (UTC+05:30, no
+// daylight saving) whatever zone the server runs in. This module turns them into instants,
+// works out which hearing reminders are due and writes iCalendar (RFC 5545) feeds.
+
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_HOUR = 7;         // reminders go out at 07:00 IST, so "the morning of" comes before court sits
+const HEARING_MINUTES = 60;      // length given to timed hearings in calendar feeds
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isDate = (v) => typeof v === "string" && DATE_RE.test(v) && !isNaN(Date.parse(v + "T00:00:00Z"));
+const isTime = (v) => typeof v === "string" && TIME_RE.test(v);
+
+// The instant a wall-clock time in IST corresponds to
+const istInstant = (date, time = "00:00") => new Date(Date.parse(`${date}T${time}:00Z`) - IST_OFFSET_MS);
+
+// Today's date in IST, as "YYYY-MM-DD"
+const istToday = (now = new Date()) => new Date(now.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// Whole days from today (IST) to `date`
+const daysUntil = (date, now = new Date()) => Math.round((Date.parse(date + "T00:00:00Z") - Date.parse(istToday(now) + "T00:00:00Z")) / DAY_MS);
+
+// When the reminder `days` before a hearing is due
+const reminderAt = (date, days) => new Date(istInstant(date, `${String(REMINDER_HOUR).padStart(2, "0")}:00`).getTime() - days * DAY_MS);
+
+// "7,1,0" -> [7, 1, 0]; anything unparseable falls back to the defaults
+function parseOffsets(value, fallback = [7, 1, 0]) {
+    const days = String(value || "").split(",").map(s => parseInt(s.trim(), 10)).filter(n => Number.isInteger(n) && n >= 0);
+    return days.length ? [...new Set(days)].sort((a, b) => b - a) : fallback;
+}
+
+// The reminder to send now for a hearing, as { days, mark }, or null. Only the nearest due
+// offset is sent; `mark` also lists earlier ones that were missed (the hearing was scheduled
+// late, or the scheduler was down) so they are recorded as done instead of arriving in a burst.
+function dueReminder(hearing, offsets, now = new Date()) {
+    if (hearing.status !== "Scheduled" || !isDate(hearing.date)) return null;
+    if (istToday(now) > hearing.date) return null;
+    const sent = hearing.remindersSent || [];
+    const due = offsets.filter(days => !sent.includes(days) && reminderAt(hearing.date, days) <= now);
+    return due.length ? { days: Math.min(...due), mark: due } : null;
+}
+
+// --- iCalendar ---
+
+const icsText = (v) => String(v ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const icsStamp = (d) => new Date(d).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Content lines are folded at 75 octets, never inside a UTF-8 character
+function fold(line) {
+    const out = [];
+    let current = "", size = 0;
+    for (const ch of line) {
+        const bytes = Buffer.byteLength(ch);
+        if (size + bytes > (out.length ? 74 : 75)) {
+            out.push(current);
+            current = "";
+            size = 0;
+        }
+        current += ch;
+        size += bytes;
+    }
+    out.push(current);
+    return out.join("\r\n ");
+}
+
+// event: { uid, date, time, summary, description, location, url, cancelled, updatedAt }.
+// Hearings without a time become all-day events.
+function eventLines(event) {
+    const lines = ["BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${icsStamp(event.updatedAt || Date.now())}`];
+    if (isTime(event.time)) {
+        const start = istInstant(event.date, event.time);
+        lines.push(`DTSTART:${icsStamp(start)}`, `DTEND:${icsStamp(start.getTime() + HEARING_MINUTES * 60 * 1000)}`);
+    } else {
+        const next = new Date(Date.parse(event.date + "T00:00:00Z") + DAY_MS).toISOString().slice(0, 10);
+        lines.push(`DTSTART;VALUE=DATE:${event.date.replace(/-/g, "")}`, `DTEND;VALUE=DATE:${next.replace(/-/g, "")}`);
+    }
+    lines.push(`SUMMARY:${icsText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${icsText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${icsText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push(`STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`, "END:VEVENT");
+    return lines;
+}
+
+function toICS({ name, events }) {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//CourtEase//Hearings//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${icsText(name)}`,
+        "X-WR-TIMEZONE:Asia/Kolkata",
+        "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+        "X-PUBLISHED-TTL:PT1H",
+        ...events.flatMap(eventLines),
+        "END:VCALENDAR"
+    ];
+    return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+module.exports = { isDate, isTime, istInstant, istToday, daysUntil, reminderAt, parseOffsets, dueReminder, toICS };
@@ -0,0 +1,243 @@
+// lib/drafts.js
+// Drafting templates: legal documents with named fields. A field may say where its value is
+// pre-filled from (`prefill`, a path into { user, case, counsel, today }) and, when the model can
+// write it, what to ask for (`ai`). Bodies mark fields as {{key}}; optional fields left blank
+// simply drop out of the text.
+
+const MAX_FIELD_CHARS = 5000;
+
+class DraftError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "DraftError";
+        this.status = status;
+    }
+}
+
+// Field: { key, label, type: "text" | "textarea" | "date" | "number", optional, default, prefill, ai, hint }
+const TEMPLATES = {
+    "legal-notice": {
+        name: "Legal Notice",
+        description: "Notice sent through an advocate demanding that the other side act (pay, vacate, stop) before proceedings are started.",
+        fields: [
+            { key: "date", label: "Date", type: "date", prefill: "today" },
+            { key: "place", label: "Place", type: "text" },
+            { key: "senderName", label: "Your name (client)", type: "text", prefill: "user.name" },
+            { key: "senderAddress", label: "Your address", type: "textarea" },
+            { key: "recipientName", label: "Recipient's name", type: "text" },
+            { key: "recipientAddress", label: "Recipient's address", type: "textarea" },
+            { key: "subject", label: "Subject", type: "text", hint: "e.g. Recovery of unpaid dues of Rs. 2,00,000" },
+            { key: "facts", label: "Facts", type: "textarea", prefill: "case.facts", ai: "the numbered paragraphs of a legal notice setting out the facts and the recipient's default, starting at 1" },
+            { key: "demand", label: "Demand", type: "textarea", ai: "one paragraph stating exactly what the recipient is called upon to do" },
+            { key: "complianceDays", label: "Days to comply", type: "number", default: "15" },
+            { key: "advocateName", label: "Advocate", type: "text", prefill: "counsel.name" }
+        ],
+        body: `LEGAL NOTICE
+
+Date: {{date}}
+Place: {{place}}
+
+To,
+{{recipientName}}
+{{recipientAddress}}
+
+Subject: {{subject}}
+
+Sir/Madam,
+
+Under instructions from and on behalf of my client, {{senderName}}, residing at {{senderAddress}}, I hereby serve upon you the following legal notice:
+
+{{facts}}
+
+{{demand}}
+
+You are hereby called upon to comply with the above within {{complianceDays}} days of receipt of this notice, failing which my client shall be constrained to initiate appropriate civil and/or criminal proceedings against you, entirely at your risk as to costs and consequences.
+
+A copy of this notice has been retained in my office for record and further action.
+
+{{advocateName}}
+Advocate for {{senderName}}`
+    },
+
+    "affidavit": {
+        name: "Affidavit",
+        description: "Sworn statement of facts by the deponent, with verification, for filing in court or before an authority.",
+        fields: [
+            { key: "deponentName", label: "Deponent's name", type: "text", prefill: "user.name" },
+            { key: "relation", label: "Son / daughter / wife of", type: "text", hint: "e.g. S/o Shri Ram Kumar" },
+            { key: "age", label: "Age", type: "number" },
+            { key: "address", label: "Address", type: "textarea" },
+            { key: "matter", label: "Matter", type: "text", optional: true, hint: "e.g. In the Court of the Civil Judge, Patiala - Suit No. 123 of 2025" },
+            { key: "statements", label: "Statements", type: "textarea", prefill: "case.facts", ai: "the numbered statements of the affidavit, each beginning with \"That\", numbered from 2 onwards" },
+            { key: "place", label: "Place", type: "text" },
+            { key: "date", label: "Date", type: "date", prefill: "today" }
+        ],
+        body: `{{matter}}
+
+AFFIDAVIT
+
+I, {{deponentName}}, {{relation}}, aged about {{age}} years, residing at {{address}}, do hereby solemnly affirm and declare as under:
+
+1. That I am the deponent herein and am fully conversant with the facts of the matter, and competent to swear this affidavit.
+
+{{statements}}
+
+DEPONENT
+
+VERIFICATION
+
+Verified at {{place}} on {{date}} that the contents of the above affidavit are true and correct to the best of my knowledge and belief, that no part of it is false and nothing material has been concealed therefrom.
+
+DEPONENT`
+    },
+
+    "rent-agreement": {
+        name: "Rent Agreement",
+        description: "Residential leave and licence / rent agreement between a landlord and a tenant, for eleven months by default.",
+        fields: [
+            { key: "date", label: "Date of agreement", type: "date", prefill: "today" },
+            { key: "place", label: "Place", type: "text" },
+            { key: "landlordName", label: "Landlord's name", type: "text" },
+            { key: "landlordAddress", label: "Landlord's address", type: "textarea" },
+            { key: "tenantName", label: "Tenant's name", type: "text" },
+            { key: "tenantAddress", label: "Tenant's permanent address", type: "textarea" },
+            { key: "propertyAddress", label: "Address of the rented property", type: "textarea" },
+            { key: "monthlyRent", label: "Monthly rent (Rs.)", type: "number" },
+            { key: "securityDeposit", label: "Security deposit (Rs.)", type: "number" },
+            { key: "startDate", label: "Tenancy starts on", type: "date" },
+            { key: "termMonths", label: "Term (months)", type: "number", default: "11" },
+            { key: "noticeMonths", label: "Notice period (months)", type: "number", default: "1" },
+            { key: "additionalClauses", label: "Additional clauses", type: "textarea", optional: true, ai: "additional numbered clauses for a residential rent agreement covering maintenance, utilities and permitted use, numbered from 9 onwards" }
+        ],
+        body: `RENT AGREEMENT
+
+This Rent Agreement is made and executed at {{place}} on {{date}}
+
+BETWEEN
+
+{{landlordName}}, residing at {{landlordAddress}} (hereinafter called the "LANDLORD", which expression shall include heirs, successors and assigns) of the ONE PART;
+
+AND
+
+{{tenantName}}, permanently residing at {{tenantAddress}} (hereinafter called the "TENANT") of the OTHER PART.
+
+The Landlord is the owner of the premises situated at {{propertyAddress}} (the "Premises") and has agreed to let out the Premises to the Tenant on the following terms and conditions:
+
+1. The tenancy shall be for a period of {{termMonths}} months commencing from {{startDate}}, and may be renewed by mutual consent in writing.
+2. The Tenant shall pay a monthly rent of Rs. {{monthlyRent}}/- on or before the 7th day of each calendar month.
+3. The Tenant has paid a sum of Rs. {{securityDeposit}}/- as interest-free security deposit, refundable at the end of the tenancy after adjusting any dues or damage.
+4. The Tenant shall pay electricity and water charges as per actual consumption.
+5. The Tenant shall not sublet, assign or part with possession of the Premises or any part of it.
+6. The Tenant shall use the Premises for residential purposes only and keep them in good condition, normal wear and tear excepted.
+7. Either party may terminate this agreement by giving {{noticeMonths}} month(s) notice in writing to the other.
+8. The Landlord or his authorised agent may inspect the Premises at a reasonable hour after prior notice.
+
+{{additionalClauses}}
+
+IN WITNESS WHEREOF the parties have signed this agreement on the date and place first mentioned above.
+
+LANDLORD                                TENANT
+
+WITNESSES:
+1.
+2.`
+    },
+
+    "vakalatnama": {
+        name: "Vakalatnama",
+        description: "Authority given by a party to an advocate to appear and act on their behalf in a case.",
+        fields: [
+            { key: "courtName", label: "Court", type: "text", prefill: "case.details.court", hint: "e.g. In the Court of the Civil Judge (Junior Division), Patiala" },
+            { key: "caseNumber", label: "Case number", type: "text", optional: true, prefill: "case.details.filingNumber", hint: "Leave blank if the case is not numbered yet" },
+            { key: "caseTitle", label: "Case title", type: "text", prefill: "case.details.title", hint: "e.g. Ram Kumar vs Shyam Lal" },
+            { key: "clientName", label: "Client's name", type: "text", prefill: "user.name" },
+            { key: "clientRole", label: "Client is the", type: "text", prefill: "case.details.clientSide", hint: "Petitioner / Plaintiff / Respondent / Defendant / Accused" },
+            { key: "advocateName", label: "Advocate", type: "text", prefill: "counsel.name" },
+            { key: "enrolmentNumber", label: "Advocate's enrolment number", type: "text" },
+            { key: "advocateAddress", label: "Advocate's address for service", type: "textarea" },
+            { key: "place", label: "Place", type: "text" },
+            { key: "date", label: "Date", type: "date", prefill: "today" }
+        ],
+        body: `{{courtName}}
+
+Case No. {{caseNumber}}
+
+{{caseTitle}}
+
+VAKALATNAMA
+
+I/We, {{clientName}}, the {{clientRole}} in the above matter, do hereby appoint and retain {{advocateName}}, Advocate (Enrolment No. {{enrolmentNumber}}), to appear, plead and act for me/us in the above matter and to conduct and prosecute (or defend) the same and all proceedings that may be taken in respect of any application connected with it, including execution, review, revision, withdrawal, compromise and appeal.
+
+I/We further authorise the said Advocate to file and take back documents, to receive money and to sign and verify pleadings on my/our behalf, and I/We agree to ratify all acts done by the said Advocate in pursuance of this authority.
+
+The address for service of the said Advocate is: {{advocateAddress}}
+
+Signed at {{place}} on {{date}}
+
+CLIENT
+({{clientName}})
+
+Accepted
+ADVOCATE
+({{advocateName}})`
+    }
+};
+
+function getTemplate(id) {
+    const template = Object.prototype.hasOwnProperty.call(TEMPLATES, id) ? TEMPLATES[id] : null;
+    if (!template) throw new DraftError("Unknown drafting template", 404);
+    return { id, ...template };
+}
+
+// Template summaries for pickers: everything but the body
+const listTemplates = () => Object.keys(TEMPLATES).map(id => {
+    const { body, ...rest } = getTemplate(id);
+    return rest;
+});
+
+const lookup = (sources, path) => path.split(".").reduce((v, k) => (v == null ? v : v[k]), sources);
+
+// Starting values for a template's form. `sources` is { user, case, counsel } (any may be null);
+// `today` is filled in here.
+function prefillValues(template, sources = {}) {
+    const all = { ...sources, today: new Date().toISOString().slice(0, 10) };
+    const values = {};
+    template.fields.forEach(f => {
+        const v = f.prefill ? lookup(all, f.prefill) : null;
+        values[f.key] = v != null && v !== "" ? String(v) : (f.default || "");
+    });
+    return values;
+}
+
+// Returns { values, errors } like lib/schema's validate: trimmed strings for the template's fields only
+function checkValues(template, input = {}) {
+    const values = {}, errors = [];
+    template.fields.forEach(f => {
+        const raw = input[f.key];
+        const v = raw == null ? "" : String(raw).trim().slice(0, MAX_FIELD_CHARS);
+        if (!v) {
+            if (!f.optional) errors.push(`${f.label} is required`);
+        } else if (f.type === "number" && !/^\d+(\.\d+)?$/.test(v.replace(/,/g, ""))) {
+            errors.push(`${f.label} must be a number`);
+        } else if (f.type === "date" && isNaN(Date.parse(v))) {
+            errors.push(`${f.label} must be a date`);
+        }
+        values[f.key] = v;
+    });
+    return { values, errors };
+}
+
+const formatDate = (v) => new Date(/^\d{4}-\d{2}-\d{2}$/.test(v) ? v + "T00:00:00Z" : v)
+    .toLocaleDateString("en-IN", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+
+// The draft text for checked values. Blank lines left by empty optional fields are collapsed.
+function renderDraft(template, values) {
+    const types = Object.fromEntries(template.fields.map(f => [f.key, f.type]));
+    const text = template.body.replace(/\{\{(\w+)\}\}/g, (_, key) => {
+        const v = values[key] || "";
+        return v && types[key] === "date" ? formatDate(v) : v;
+    });
+    return text.replace(/^[^\S\n]+$/gm, "").replace(/\n{3,}/g, "\n\n").trim() + "\n";
+}
+
+module.exports = { DraftError, getTemplate, listTemplates, prefillValues, checkValues, renderDraft };
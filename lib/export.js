@@ -0,0 +1,243 @@
+// lib/export.js
+// Renders a document described as plain data to PDF (pdfkit) or DOCX (docx), both with the
+// CourtEase header, the case ID and the generation date on every page.
+//
+//   { title, caseId, generatedAt, sections: [{ heading, blocks: [
+//       { type: "paragraph", text },                  // newlines are kept
+//       { type: "list", items: [string] },
+//       { type: "fields", rows: [[label, value]] },   // label / value pairs
+//       { type: "table", columns: [string], widths: [number | "*"], rows: [[string]] }
+//   ] }] }
+// Empty values render as "-"; blocks with nothing in them are skipped.
+
+const PDFDocument = require("pdfkit");
+const {
+    Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell,
+    Header, Footer, AlignmentType, WidthType, PageNumber
+} = require("docx");
+
+const FORMATS = {
+    pdf: { mimeType: "application/pdf", extension: "pdf" },
+    docx: { mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", extension: "docx" }
+};
+
+const BRAND = "CourtEase";
+const ACCENT = "#D97706";
+const MUTED = "#64748B";
+
+class ExportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "ExportError";
+        this.status = status;
+    }
+}
+
+const cell = (v) => (v == null || v === "" ? "-" : String(v));
+const isEmpty = (block) => {
+    if (block.type === "paragraph") return !String(block.text || "").trim();
+    return !(block.items || block.rows || []).length;
+};
+const stamp = (doc) => `Case ID: ${doc.caseId}    Generated: ${new Date(doc.generatedAt).toUTCString()}`;
+
+// --- PDF ---
+
+// pdfkit's standard fonts only cover Latin-1, and analyses and briefs come in any of the app's
+// languages, so text is set in Noto instead. A string gets the Noto font of the first Indic or
+// Arabic letter in it (each of those fonts has Latin letters, digits and punctuation too, so
+// English citations inside a Hindi paragraph still print) and Noto Sans otherwise. Two of these
+// scripts in one string is not expected; the later one would come out as blank boxes.
+const SCRIPT_FONTS = [
+    { letters: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/, pkg: "noto-naskh-arabic", family: "NotoNaskhArabic", rupee: false },
+    { letters: /[\u0900-\u097F\uA8E0-\uA8FF]/, pkg: "noto-sans-devanagari", family: "NotoSansDevanagari" },
+    { letters: /[\u0980-\u09FF]/, pkg: "noto-sans-bengali", family: "NotoSansBengali" },
+    { letters: /[\u0A00-\u0A7F]/, pkg: "noto-sans-gurmukhi", family: "NotoSansGurmukhi" },
+    { letters: /[\u0A80-\u0AFF]/, pkg: "noto-sans-gujarati", family: "NotoSansGujarati" },
+    { letters: /[\u0B00-\u0B7F]/, pkg: "noto-sans-oriya", family: "NotoSansOriya" },
+    { letters: /[\u0B80-\u0BFF]/, pkg: "noto-sans-tamil", family: "NotoSansTamil" },
+    { letters: /[\u0C00-\u0C7F]/, pkg: "noto-sans-telugu", family: "NotoSansTelugu" },
+    { letters: /[\u0C80-\u0CFF]/, pkg: "noto-sans-kannada", family: "NotoSansKannada" },
+    { letters: /[\u0D00-\u0D7F]/, pkg: "noto-sans-malayalam", family: "NotoSansMalayalam" }
+];
+const LATIN_FONT = { pkg: "noto-sans", family: "NotoSans" };
+const PDF_FONTS = [LATIN_FONT, ...SCRIPT_FONTS];
+const ANY_SCRIPT = new RegExp(SCRIPT_FONTS.map(f => f.letters.source).join("|"));
+const WEIGHTS = { Regular: "400Regular", Bold: "700Bold" };
+
+// The files are found by path, which Vercel's bundler cannot follow; vercel.json includes them
+function registerPdfFonts(pdf) {
+    PDF_FONTS.forEach(({ pkg, family }) => Object.entries(WEIGHTS).forEach(([weight, dir]) => {
+        pdf.registerFont(`${family}-${weight}`, require.resolve(`@expo-google-fonts/${pkg}/${dir}/${family}_${dir}.ttf`));
+    }));
+}
+
+// The Noto font a string needs, its registered name, and the text as that font can print it
+function scriptFont(text) {
+    const letter = ANY_SCRIPT.exec(text);
+    return (letter && SCRIPT_FONTS.find(f => f.letters.test(letter[0]))) || LATIN_FONT;
+}
+const fontName = (font, bold = false) => `${font.family}-${bold ? "Bold" : "Regular"}`;
+// Noto Naskh has no rupee sign, so it is spelt out there
+const printable = (font, value) => (font.rupee === false ? cell(value).replace(/₹/g, "Rs.") : cell(value));
+
+// Switches to the font a value needs and returns the text to print
+function pdfFont(pdf, value, bold = false) {
+    const font = scriptFont(cell(value));
+    pdf.font(fontName(font, bold));
+    return printable(font, value);
+}
+
+// A table cell in the font its text needs
+function pdfCell(value, bold = false) {
+    const font = scriptFont(cell(value));
+    return { text: printable(font, value), font: { src: fontName(font, bold) } };
+}
+
+function pdfBlock(pdf, block) {
+    const width = pdf.page.width - pdf.page.margins.left - pdf.page.margins.right;
+    const left = pdf.page.margins.left;
+    switch (block.type) {
+        case "paragraph":
+            pdf.fontSize(10.5).fillColor("black").text(pdfFont(pdf, block.text), left, pdf.y, { width, lineGap: 2 });
+            break;
+        case "list": {
+            // pdfkit sets a whole list in one font
+            const font = scriptFont(block.items.join("\n"));
+            pdf.font(fontName(font)).fontSize(10.5).fillColor("black").list(block.items.map(item => printable(font, item)), left, pdf.y, { width, lineGap: 2, bulletRadius: 2 });
+            break;
+        }
+        case "fields":
+            block.rows.forEach(([label, value]) => {
+                pdf.fontSize(10.5).fillColor("black").text(pdfFont(pdf, label + ": ", true), left, pdf.y, { continued: true, width });
+                pdf.text(pdfFont(pdf, value));
+            });
+            break;
+        case "table":
+            pdf.fontSize(9).fillColor("black");
+            pdf.table({
+                columnStyles: block.widths || block.columns.map(() => "*"),
+                rowStyles: (i) => (i === 0 ? { backgroundColor: "#F1F5F9" } : {}),
+                data: [block.columns.map(c => pdfCell(c, true)), ...block.rows.map(r => r.map(v => pdfCell(v)))]
+            });
+            break;
+        default:
+            throw new ExportError(`Unknown block type: ${block.type}`, 500);
+    }
+    pdf.moveDown(0.6);
+}
+
+function renderPdf(doc) {
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({
+            size: "A4",
+            margins: { top: 90, bottom: 60, left: 60, right: 60 },
+            bufferPages: true,
+            info: { Title: doc.title, Author: BRAND, Subject: `Case ${doc.caseId}` }
+        });
+        const chunks = [];
+        pdf.on("data", (c) => chunks.push(c));
+        pdf.on("end", () => resolve(Buffer.concat(chunks)));
+        pdf.on("error", reject);
+
+        registerPdfFonts(pdf);
+        pdf.fontSize(18).fillColor("black").text(pdfFont(pdf, doc.title, true));
+        pdf.moveDown(0.8);
+        doc.sections.forEach(section => {
+            const blocks = section.blocks.filter(b => !isEmpty(b));
+            if (!blocks.length) return;
+            pdf.fontSize(13).fillColor(ACCENT).text(pdfFont(pdf, section.heading, true), pdf.page.margins.left);
+            pdf.moveDown(0.3);
+            blocks.forEach(b => pdfBlock(pdf, b));
+            pdf.moveDown(0.4);
+        });
+
+        // Header and footer go in the margins once every page exists, so "of N" is known
+        const range = pdf.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            pdf.switchToPage(i);
+            const { width, height, margins } = pdf.page;
+            const bottom = margins.bottom;
+            pdf.page.margins.bottom = 0;
+            pdf.font(fontName(LATIN_FONT, true)).fontSize(14).fillColor(ACCENT).text(BRAND, margins.left, 30, { lineBreak: false });
+            pdf.font(fontName(LATIN_FONT)).fontSize(8.5).fillColor(MUTED).text(stamp(doc), margins.left, 50, { width: width - margins.left - margins.right, lineBreak: false });
+            pdf.moveTo(margins.left, 66).lineTo(width - margins.right, 66).strokeColor("#E2E8F0").stroke();
+            pdf.fontSize(8.5).fillColor(MUTED).text(`Page ${i + 1 - range.start} of ${range.count}`, margins.left, height - 40, { width: width - margins.left - margins.right, align: "center", lineBreak: false });
+            pdf.page.margins.bottom = bottom;
+        }
+        pdf.end();
+    });
+}
+
+// --- DOCX ---
+
+function docxRuns(text, opts = {}) {
+    return cell(text).split("\n").map((line, i) => new TextRun({ ...opts, text: line, break: i ? 1 : 0 }));
+}
+
+function docxBlock(block) {
+    switch (block.type) {
+        case "paragraph":
+            return [new Paragraph({ children: docxRuns(block.text), spacing: { after: 160 } })];
+        case "list":
+            return block.items.map(item => new Paragraph({ children: docxRuns(item), bullet: { level: 0 } }));
+        case "fields":
+            return block.rows.map(([label, value]) => new Paragraph({
+                children: [new TextRun({ text: label + ": ", bold: true }), ...docxRuns(value)]
+            }));
+        case "table": {
+            const row = (values, header) => new TableRow({
+                tableHeader: header,
+                children: values.map(v => new TableCell({
+                    shading: header ? { fill: "F1F5F9" } : undefined,
+                    children: [new Paragraph({ children: docxRuns(v, { bold: header, size: 18 }) })]
+                }))
+            });
+            return [
+                new Table({ width: { size: 100, type: WidthType.PERCENTAGE }, rows: [row(block.columns, true), ...block.rows.map(r => row(r, false))] }),
+                new Paragraph({ text: "" })
+            ];
+        }
+        default:
+            throw new ExportError(`Unknown block type: ${block.type}`, 500);
+    }
+}
+
+function renderDocx(doc) {
+    const children = [new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(doc.title)] })];
+    doc.sections.forEach(section => {
+        const blocks = section.blocks.filter(b => !isEmpty(b));
+        if (!blocks.length) return;
+        children.push(new Paragraph({ heading: HeadingLevel.HEADING_2, children: [new TextRun({ text: section.heading, color: ACCENT.slice(1) })] }));
+        blocks.forEach(b => children.push(...docxBlock(b)));
+    });
+    const document = new Document({
+        creator: BRAND,
+        title: doc.title,
+        sections: [{
+            headers: {
+                default: new Header({ children: [
+                    new Paragraph({ children: [new TextRun({ text: BRAND, bold: true, size: 28, color: ACCENT.slice(1) })] }),
+                    new Paragraph({ children: [new TextRun({ text: stamp(doc), size: 17, color: MUTED.slice(1) })] })
+                ] })
+            },
+            footers: {
+                default: new Footer({ children: [new Paragraph({
+                    alignment: AlignmentType.CENTER,
+                    children: [new TextRun({ children: ["Page ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES], size: 17, color: MUTED.slice(1) })]
+                })] })
+            },
+            children
+        }]
+    });
+    return Packer.toBuffer(document);
+}
+
+// Resolves to { buffer, mimeType, extension }
+async function renderExport(doc, format) {
+    const spec = Object.prototype.hasOwnProperty.call(FORMATS, format) ? FORMATS[format] : null;
+    if (!spec) throw new ExportError(`Unsupported export format - use ${Object.keys(FORMATS).join(" or ")}`);
+    const buffer = format === "pdf" ? await renderPdf(doc) : await renderDocx(doc);
+    return { buffer, ...spec };
+}
+
+module.exports = { renderExport, ExportError, FORMATS };
@@ -0,0 +1,83 @@
+// lib/extract.js
+// Detects what an uploaded file is and pulls its text out locally where possible, so the AI
+// only has to "look" at files that have no text layer (photos, scanned PDFs).
+
+const { PDFParse } = require("pdf-parse");
+const mammoth = require("mammoth");
+
+const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Below this many characters per page a PDF is treated as scanned
+const MIN_CHARS_PER_PAGE = 40;
+
+// Longest text handed to the model; the rest is cut to keep prompts bounded
+const MAX_TEXT_CHARS = 120000;
+
+class UnsupportedFileError extends Error {
+    constructor(mimeType) {
+        super(`Unsupported file type (${mimeType || "unknown"}). Upload a PDF, DOCX, text file or an image.`);
+        this.name = "UnsupportedFileError";
+    }
+}
+
+// Magic bytes first, then the browser-declared MIME type / extension as a hint
+function detectFileType(buffer, declaredMime = "", fileName = "") {
+    const head = buffer.subarray(0, 12);
+    const ext = String(fileName).toLowerCase().split(".").pop();
+
+    if (head.subarray(0, 4).toString("latin1") === "%PDF") return { fileType: "pdf", mimeType: "application/pdf" };
+    if (head[0] === 0xFF && head[1] === 0xD8 && head[2] === 0xFF) return { fileType: "image", mimeType: "image/jpeg" };
+    if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return { fileType: "image", mimeType: "image/png" };
+    if (head.subarray(0, 4).toString("latin1") === "RIFF" && head.subarray(8, 12).toString("latin1") === "WEBP") return { fileType: "image", mimeType: "image/webp" };
+    // DOCX is a zip archive; only trust it as one when the name or type says so
+    if (head[0] === 0x50 && head[1] === 0x4B && (declaredMime === DOCX_MIME || ext === "docx")) return { fileType: "docx", mimeType: DOCX_MIME };
+    if (declaredMime.startsWith("text/plain") || ext === "txt") return { fileType: "text", mimeType: "text/plain" };
+    if (/^image\/(heic|heif)$/.test(declaredMime)) return { fileType: "image", mimeType: declaredMime };
+
+    throw new UnsupportedFileError(declaredMime);
+}
+
+async function extractPdf(buffer) {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+        const result = await parser.getText({ pageJoiner: "" });
+        return { text: result.text.trim(), pageCount: result.total };
+    } finally {
+        await parser.destroy();
+    }
+}
+
+/**
+ * Returns { fileType, mimeType, pageCount, extractionMethod, text, truncated }.
+ * extractionMethod is "pdf-text", "docx-text" or "plain-text" when `text` holds the content,
+ * and "ai-vision" when the file itself has to be sent to the model.
+ */
+async function extractContent(buffer, declaredMime, fileName) {
+    const { fileType, mimeType } = detectFileType(buffer, declaredMime, fileName);
+    let text = "";
+    let pageCount = null;
+    let extractionMethod = "ai-vision";
+
+    if (fileType === "pdf") {
+        try {
+            ({ text, pageCount } = await extractPdf(buffer));
+        } catch (e) {
+            console.warn("PDF text extraction failed, falling back to vision:", e.message);
+        }
+        if (text.length >= MIN_CHARS_PER_PAGE * Math.max(pageCount || 1, 1)) extractionMethod = "pdf-text";
+        else text = "";
+    } else if (fileType === "docx") {
+        text = (await mammoth.extractRawText({ buffer })).value.trim();
+        extractionMethod = "docx-text";
+    } else if (fileType === "text") {
+        text = buffer.toString("utf8").trim();
+        extractionMethod = "plain-text";
+    } else {
+        pageCount = 1;
+    }
+
+    const truncated = text.length > MAX_TEXT_CHARS;
+    return { fileType, mimeType, pageCount, extractionMethod, text: truncated ? text.slice(0, MAX_TEXT_CHARS) : text, truncated };
+}
+
+module.exports = { extractContent, detectFileType, UnsupportedFileError };
@@ -0,0 +1,51 @@
+// lib/files.js
+// Blob storage for uploaded case documents. Metadata lives in the "documents" collection
+// (see lib/storage); this module only stores and returns the raw bytes.
+//
+// Drivers: "local" writes under a directory on disk, "firebase" uses a Firebase Storage bucket.
+// Note: on serverless hosts the local disk is ephemeral - use the bucket there.
+
+const fs = require("fs");
+const path = require("path");
+
+function createLocalFileStore({ dir }) {
+    const root = path.resolve(dir);
+    const fullPath = (key) => {
+        const p = path.resolve(root, key);
+        if (!p.startsWith(root + path.sep)) throw new Error("Invalid storage key");
+        return p;
+    };
+    return {
+        name: "local",
+        async save(key, buffer) {
+            const p = fullPath(key);
+            await fs.promises.mkdir(path.dirname(p), { recursive: true });
+            await fs.promises.writeFile(p, buffer);
+        },
+        async read(key) { return fs.promises.readFile(fullPath(key)); },
+        async remove(key) { await fs.promises.rm(fullPath(key), { force: true }); }
+    };
+}
+
+function createBucketFileStore({ admin, bucketName }) {
+    const bucket = admin.storage().bucket(bucketName);
+    return {
+        name: "firebase",
+        async save(key, buffer, contentType) {
+            await bucket.file(key).save(buffer, { contentType, resumable: false });
+        },
+        async read(key) {
+            const [buffer] = await bucket.file(key).download();
+            return buffer;
+        },
+        async remove(key) { await bucket.file(key).delete({ ignoreNotFound: true }); }
+    };
+}
+
+// Keys look like documents/<docId>/<sanitised file name>
+function storageKey(docId, fileName) {
+    const safe = String(fileName || "document").replace(/[^\w.\-]+/g, "_").slice(-120);
+    return `documents/${docId}/${safe}`;
+}
+
+module.exports = { createLocalFileStore, createBucketFileStore, storageKey };
@@ -0,0 +1,248 @@
+// lib/judgments.js
+// Judgment search and full-text fetch against the Indian Kanoon API, with an LRU/TTL cache in
+// front of it. When the API is not configured or fails, search answers with a small set of
+// landmark cases flagged `fallback: true` (and a `reason`) so callers never mistake them for
+// real matches. `verify` checks a judgment the AI suggested against live search results.
+
+const axios = require("axios");
+const { createCache } = require("./cache");
+
+const API_BASE = "https://api.indiankanoon.org";
+const PAGE_SIZE = 10;          // fixed by the API
+const MAX_PAGE = 100;
+const MAX_QUERY_CHARS = 300;
+const VERIFY_CANDIDATES = 5;
+// Share of the suggested title's words that must appear in a search result's title
+const VERIFY_THRESHOLD = 0.75;
+
+// Values are Indian Kanoon "doctypes" codes
+const COURTS = {
+    supremecourt: "Supreme Court of India",
+    delhi: "Delhi High Court",
+    bombay: "Bombay High Court",
+    kolkata: "Calcutta High Court",
+    chennai: "Madras High Court",
+    allahabad: "Allahabad High Court",
+    karnataka: "Karnataka High Court",
+    kerala: "Kerala High Court",
+    punjab: "Punjab & Haryana High Court",
+    gujarat: "Gujarat High Court",
+    rajasthan: "Rajasthan High Court",
+    patna: "Patna High Court",
+    telangana: "Telangana High Court",
+    andhra: "Andhra Pradesh High Court",
+    madhyapradesh: "Madhya Pradesh High Court"
+};
+
+const DOC_TYPES = {
+    judgments: "All court judgments",
+    highcourts: "High Court judgments",
+    tribunals: "Tribunal orders",
+    laws: "Central Acts"
+};
+
+const SORTS = { relevance: null, newest: "mostrecent", oldest: "leastrecent" };
+
+// Landmark cases shown (clearly flagged) when live search is unavailable
+const FALLBACK_RESULTS = [
+    { title: "Kesavananda Bharati v. State of Kerala", court: "Supreme Court of India", date: "1973-04-24", citation: "AIR 1973 SC 1461", snippet: "Basic structure doctrine: Parliament may amend the Constitution but not alter its basic structure." },
+    { title: "Maneka Gandhi v. Union of India", court: "Supreme Court of India", date: "1978-01-25", citation: "AIR 1978 SC 597", snippet: "Procedure depriving personal liberty under Article 21 must be fair, just and reasonable." },
+    { title: "Vishaka v. State of Rajasthan", court: "Supreme Court of India", date: "1997-08-13", citation: "AIR 1997 SC 3011", snippet: "Guidelines on prevention of sexual harassment of women at the workplace." }
+].map(r => ({ ...r, id: null, judge: null, citedBy: null, link: `https://indiankanoon.org/search/?formInput=${encodeURIComponent(r.title)}` }));
+
+// `status` is the HTTP status a route should answer with
+class JudgmentSearchError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "JudgmentSearchError";
+        this.status = status;
+    }
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", "#39": "'" };
+
+// The API returns HTML (titles with <b> highlights, full documents); callers only ever get text
+function htmlToText(html) {
+    return String(html || "")
+        .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, "")
+        .replace(/<\s*br\s*\/?>/gi, "\n")
+        .replace(/<\/\s*(p|div|h[1-6]|li|pre|blockquote|tr)\s*>/gi, "\n")
+        .replace(/<[^>]*>/g, "")
+        .replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (m, e) => {
+            if (ENTITIES[e.toLowerCase()]) return ENTITIES[e.toLowerCase()];
+            if (e[0] === "#") return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+            return m;
+        })
+        .replace(/[ \t]+/g, " ")
+        .replace(/ *\n */g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+const isIsoDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s));
+// The API wants D-M-YYYY
+const apiDate = (iso) => { const [y, m, d] = iso.split("-"); return `${+d}-${+m}-${y}`; };
+
+// Validates and fills defaults; throws JudgmentSearchError (400) on bad input
+function normalizeOptions(input = {}) {
+    const o = {
+        query: String(input.query || "").trim(),
+        court: String(input.court || ""),
+        docType: String(input.docType || ""),
+        judge: String(input.judge || "").trim(),
+        fromDate: String(input.fromDate || ""),
+        toDate: String(input.toDate || ""),
+        sort: String(input.sort || "relevance"),
+        page: Number(input.page || 1)
+    };
+    if (!o.query) throw new JudgmentSearchError("Enter a search term");
+    if (o.query.length > MAX_QUERY_CHARS) throw new JudgmentSearchError(`Search terms are limited to ${MAX_QUERY_CHARS} characters`);
+    if (o.court && !COURTS[o.court]) throw new JudgmentSearchError("Unknown court: " + o.court);
+    if (o.docType && !DOC_TYPES[o.docType]) throw new JudgmentSearchError("Unknown document type: " + o.docType);
+    if (!(o.sort in SORTS)) throw new JudgmentSearchError("Unknown sort order: " + o.sort);
+    if (!Number.isInteger(o.page) || o.page < 1 || o.page > MAX_PAGE) throw new JudgmentSearchError(`Page must be between 1 and ${MAX_PAGE}`);
+    for (const f of ["fromDate", "toDate"]) {
+        if (o[f] && !isIsoDate(o[f])) throw new JudgmentSearchError(`${f} must be a date (YYYY-MM-DD)`);
+    }
+    if (o.fromDate && o.toDate && o.fromDate > o.toDate) throw new JudgmentSearchError("fromDate is after toDate");
+    // Operators are separated by spaces; keep the judge's name from adding new ones
+    o.judge = o.judge.replace(/\s*\w+:\s*/g, " ").trim();
+    return o;
+}
+
+function buildFormInput(o) {
+    const parts = [o.query];
+    // A court narrows further than a document type, so it wins when both are set
+    const doctypes = o.court || o.docType;
+    if (doctypes) parts.push(`doctypes: ${doctypes}`);
+    if (o.fromDate) parts.push(`fromdate: ${apiDate(o.fromDate)}`);
+    if (o.toDate) parts.push(`todate: ${apiDate(o.toDate)}`);
+    if (o.judge) parts.push(`author: ${o.judge}`);
+    if (SORTS[o.sort]) parts.push(`sortby: ${SORTS[o.sort]}`);
+    return parts.join(" ");
+}
+
+const toResult = (d) => ({
+    id: String(d.tid),
+    title: htmlToText(d.title),
+    court: d.docsource || "",
+    date: d.publishdate || null,
+    citation: d.citation || null,
+    judge: d.author || null,
+    snippet: htmlToText(d.headline || d.fragment || ""),
+    citedBy: d.numcitedby ?? null,
+    link: docLink(d.tid)
+});
+
+const docLink = (id) => `https://indiankanoon.org/doc/${id}/`;
+
+const TITLE_STOPWORDS = new Set(["v", "vs", "versus", "the", "of", "and", "ors", "anr", "others", "another", "on", "etc", "ltd", "pvt"]);
+const titleWords = (title) => new Set(String(title).toLowerCase().replace(/[^a-z0-9\s]/g, " ").split(/\s+/).filter(w => w.length > 1 && !TITLE_STOPWORDS.has(w)));
+
+// How much of `suggested` is found in `candidate`, 0..1. Search titles run long ("A And Ors vs
+// State Of X on 1 May, 1990"), so this measures coverage of the suggestion, not overlap.
+function titleSimilarity(suggested, candidate) {
+    const want = titleWords(suggested);
+    if (!want.size) return 0;
+    const have = titleWords(candidate);
+    let hits = 0;
+    want.forEach(w => { if (have.has(w)) hits++; });
+    return hits / want.size;
+}
+
+// The fields a case keeps for a judgment linked to a real document
+const linkFields = (r) => ({ judgmentId: r.id, title: r.title, court: r.court, citation: r.citation, date: r.date, link: docLink(r.id) });
+
+// "found" reads like "1 - 10 of 2,345"
+function parseTotal(found, fallbackCount) {
+    const m = String(found || "").match(/of\s+([\d,]+)/i);
+    return m ? Number(m[1].replace(/,/g, "")) : fallbackCount;
+}
+
+function createJudgmentSearch({ token, cacheSize = 200, cacheTtlMs = 60 * 60 * 1000, timeoutMs = 15000 } = {}) {
+    const cache = createCache({ max: cacheSize, ttlMs: cacheTtlMs });
+
+    async function call(path) {
+        const r = await axios.post(API_BASE + path, {}, {
+            headers: { Authorization: `Token ${token}`, Accept: "application/json" },
+            timeout: timeoutMs
+        });
+        return r.data;
+    }
+
+    function fallback(o, reason) {
+        return { query: o.query, page: 1, pageSize: PAGE_SIZE, total: FALLBACK_RESULTS.length, results: FALLBACK_RESULTS, fallback: true, reason, cached: false };
+    }
+
+    async function search(input) {
+        const o = normalizeOptions(input);
+        if (!token) return fallback(o, "Live search is not configured on this server");
+        try {
+            const { value, cached } = await cache.wrap("search:" + JSON.stringify(o), async () => {
+                const data = await call(`/search/?formInput=${encodeURIComponent(buildFormInput(o))}&pagenum=${o.page - 1}`);
+                const docs = Array.isArray(data?.docs) ? data.docs : [];
+                return { results: docs.map(toResult), total: parseTotal(data?.found, docs.length) };
+            });
+            return { query: o.query, page: o.page, pageSize: PAGE_SIZE, ...value, fallback: false, cached };
+        } catch (e) {
+            console.warn("Judgment search failed, using fallback data:", e.message);
+            return fallback(o, "Live search is unavailable right now");
+        }
+    }
+
+    async function fetchDocument(id) {
+        if (!/^\d+$/.test(String(id || ""))) throw new JudgmentSearchError("Invalid judgment id");
+        if (!token) throw new JudgmentSearchError("Full text is unavailable: live search is not configured", 503);
+        try {
+            const { value, cached } = await cache.wrap("doc:" + id, async () => {
+                const d = await call(`/doc/${id}/`);
+                if (!d || !d.doc) throw new JudgmentSearchError("Judgment not found", 404);
+                return {
+                    id: String(id),
+                    title: htmlToText(d.title),
+                    court: d.docsource || "",
+                    date: d.publishdate || null,
+                    citation: d.citation || null,
+                    text: htmlToText(d.doc),
+                    link: docLink(id)
+                };
+            });
+            return { ...value, cached };
+        } catch (e) {
+            if (e instanceof JudgmentSearchError) throw e;
+            if (e.response?.status === 404) throw new JudgmentSearchError("Judgment not found", 404);
+            console.warn("Judgment fetch failed:", e.message);
+            throw new JudgmentSearchError("Could not fetch the judgment right now", 502);
+        }
+    }
+
+    // Looks up an AI-suggested { title, court, relevance }. Returns it with `verified`, a
+    // `verificationNote` when unverified, the linked fields of the best match when verified, and
+    // the top `candidates` so a user can pick the right one instead.
+    async function verify(suggestion) {
+        const suggestedTitle = String(suggestion.title || "").trim();
+        const base = { ...suggestion, suggestedTitle, verified: false, matchedBy: null, candidates: [] };
+        if (!suggestedTitle) return { ...base, verificationNote: "No title to check" };
+        let found;
+        try { found = await search({ query: suggestedTitle.slice(0, MAX_QUERY_CHARS) }); }
+        catch (e) { return { ...base, verificationNote: "Could not search: " + e.message }; }
+        if (found.fallback) return { ...base, verificationNote: found.reason };
+
+        const candidates = found.results.slice(0, VERIFY_CANDIDATES);
+        const best = candidates
+            .map(r => ({ r, score: titleSimilarity(suggestedTitle, r.title) }))
+            .sort((a, b) => b.score - a.score)[0];
+        if (!best || best.score < VERIFY_THRESHOLD) return { ...base, candidates, verificationNote: "No matching judgment found" };
+        return { ...base, ...linkFields(best.r), court: best.r.court || suggestion.court, verified: true, matchedBy: "search", candidates, verificationNote: null };
+    }
+
+    return {
+        enabled: !!token,
+        search,
+        fetchDocument,
+        verify,
+        cacheStats: cache.stats
+    };
+}
+
+module.exports = { createJudgmentSearch, JudgmentSearchError, COURTS, DOC_TYPES, SORTS, PAGE_SIZE, htmlToText, docLink, titleSimilarity };
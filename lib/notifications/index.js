@@ -0,0 +1,152 @@
+// lib/notifications/index.js
+// The notifier renders a named template (templates.js) for each recipient and delivers it on
+// every channel the template uses and the recipient has switched on. In-app notifications go
+// straight into the recipient's inbox. Email and SMS go through a transport (transports.js), and
+// each one is a record in the "deliveries" log. A failed send is retried with backoff by
+// processRetries until maxAttempts, then marked failed; an admin can still retry it by hand.
+//
+// Recipients are user records: { id, email, phone, notificationPrefs }.
+
+const { TEMPLATES, CHANNELS, getTemplate, renderTemplate } = require("./templates");
+const { createEmailTransport, createSmsTransport, createCaptureTransport } = require("./transports");
+
+const DEFAULT_PREFS = { email: true, sms: false, inApp: true };
+const BACKOFF_MINUTES = [1, 5, 30, 120];
+const OUTBOUND = ["email", "sms"];
+
+// Delivery status: pending -> sent | retrying -> ... -> sent | failed. "skipped" when the channel
+// has no transport configured or the recipient has no address for it; those are never retried
+// automatically.
+const DELIVERY_STATUSES = ["pending", "sent", "retrying", "failed", "skipped"];
+
+const prefsOf = (user) => ({ ...DEFAULT_PREFS, ...(user.notificationPrefs || {}) });
+
+function createNotifier({ store, transports, seal = (s) => s, open = (s) => s, maxAttempts = 5, log = console.log }) {
+    const channels = { ...transports };
+    let retryRun = null;
+
+    async function attempt(delivery) {
+        const transport = channels[delivery.channel];
+        const now = new Date();
+        const attempts = (delivery.attempts || 0) + 1;
+        let patch;
+        try {
+            const info = await transport.send({ to: delivery.to, ...JSON.parse(open(delivery.payload)) });
+            patch = { status: "sent", sentAt: now.toISOString(), providerId: info?.id || null, lastError: null, nextAttemptAt: null };
+        } catch (e) {
+            const done = attempts >= maxAttempts;
+            const wait = BACKOFF_MINUTES[Math.min(attempts, BACKOFF_MINUTES.length) - 1] * 60 * 1000;
+            patch = { status: done ? "failed" : "retrying", lastError: e.message, nextAttemptAt: done ? null : new Date(now.getTime() + wait).toISOString() };
+            log(`❌ ${delivery.channel} to ${delivery.to} failed (attempt ${attempts}): ${e.message}`);
+        }
+        patch = { ...patch, attempts, transport: transport.name, updatedAt: now.toISOString() };
+        await store.updateDelivery(delivery.id, patch);
+        return { ...delivery, ...patch };
+    }
+
+    async function deliver(user, channel, template, message) {
+        const transport = channels[channel];
+        const to = channel === "email" ? user.email : user.phone;
+        const now = new Date().toISOString();
+        const skipped = transport.disabled ? transport.reason : (!to ? `No ${channel === "email" ? "email address" : "phone number"} on the profile` : null);
+        const saved = await store.addDelivery({
+            template, channel, userId: user.id, to: to || null,
+            status: skipped ? "skipped" : "pending",
+            attempts: 0,
+            transport: transport.name,
+            payload: seal(JSON.stringify(message)),
+            lastError: skipped,
+            nextAttemptAt: null,
+            createdAt: now,
+            updatedAt: now
+        });
+        return skipped ? saved : attempt(saved);
+    }
+
+    // Resolves once every channel has been tried once. Never throws, so callers need not wait for it.
+    async function notify(name, recipients, data = {}) {
+        const results = [];
+        try {
+            const template = getTemplate(name);
+            const message = renderTemplate(name, data);
+            for (const user of [].concat(recipients).filter(Boolean)) {
+                const prefs = prefsOf(user);
+                if (message.inApp && prefs.inApp) {
+                    results.push(await store.addNotification(user.id, { ...message.inApp, template: name, read: false, createdAt: new Date().toISOString() }));
+                }
+                for (const channel of OUTBOUND) {
+                    if (message[channel] && (prefs[channel] || (channel === "email" && template.essential))) {
+                        results.push(await deliver(user, channel, name, message[channel]));
+                    }
+                }
+            }
+        } catch (e) { log(`❌ Notification ${name} failed: ${e.message}`); }
+        return results;
+    }
+
+    async function retryDue(now) {
+        const due = (await store.findDeliveries({ status: "retrying" })).filter(d => !d.nextAttemptAt || d.nextAttemptAt <= now.toISOString());
+        const result = { retried: due.length, sent: 0, failed: 0 };
+        for (const d of due) {
+            const { status } = await attempt(d);
+            if (status === "sent") result.sent++;
+            else if (status === "failed") result.failed++;
+        }
+        return result;
+    }
+
+    // One run at a time; a call while one is in progress shares its result
+    function processRetries(now = new Date()) {
+        retryRun = retryRun || retryDue(now).finally(() => { retryRun = null; });
+        return retryRun;
+    }
+
+    // A manual retry (admin) of a delivery that did not go out, whatever its attempt count
+    async function retry(deliveryId) {
+        const delivery = await store.getDelivery(deliveryId);
+        if (!delivery) throw new Error("Delivery not found");
+        if (delivery.status === "sent") throw new Error("This message has already been sent");
+        if (channels[delivery.channel].disabled) throw new Error(channels[delivery.channel].reason);
+        if (!delivery.to) throw new Error(delivery.lastError || "No address to send to");
+        return attempt(delivery);
+    }
+
+    // The log for the admin viewer, newest first, optionally filtered by status and channel. The
+    // filters are applied here rather than in the query (so Firestore needs no composite index),
+    // fetching on until the page is full. `next` is the cursor for the following page, or null.
+    async function listDeliveries({ status, channel, before, limit = 50 } = {}) {
+        const matches = (d) => (!status || d.status === status) && (!channel || d.channel === channel);
+        const found = [];
+        let cursor = before, more = true;
+        while (more && found.length <= limit) {
+            const batch = await store.listDeliveries({ limit: limit + 1, before: cursor });
+            more = batch.length > limit;
+            if (batch.length) cursor = batch[batch.length - 1].createdAt;
+            found.push(...batch.filter(matches));
+        }
+        const page = found.slice(0, limit);
+        return {
+            deliveries: page.map(({ payload, ...d }) => {
+                const message = JSON.parse(open(payload) || "{}");
+                return { ...d, subject: message.subject || null, text: d.channel === "sms" ? message.text : null };
+            }),
+            next: found.length > limit ? page[page.length - 1].createdAt : null
+        };
+    }
+
+    return {
+        notify,
+        processRetries,
+        retry,
+        listDeliveries,
+        // Replaces a channel's transport, e.g. with createCaptureTransport() in tests
+        setTransport(channel, transport) { channels[channel] = transport; },
+        transport: (channel) => channels[channel],
+        channelEnabled: (channel) => channel === "inApp" || !channels[channel].disabled
+    };
+}
+
+module.exports = {
+    createNotifier, createEmailTransport, createSmsTransport, createCaptureTransport,
+    TEMPLATES, CHANNELS, DEFAULT_PREFS, DELIVERY_STATUSES, prefsOf
+};
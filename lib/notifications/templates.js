@@ -0,0 +1,138 @@
+// lib/notifications/templates.js
+// Named notification templates. Each one says how to word the message on every channel it
+// uses: `email` gives { subject, html }, `sms` a short text, `inApp` { title, body, link }.
+// A channel a template leaves out is never used for it. `essential` templates (account
+// messages) always go out by email, whatever the recipient's preferences say.
+
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+const caseLink = (caseId) => `/track?caseId=${encodeURIComponent(caseId)}`;
+
+// hearing: { when, court, bench, courtroom, purpose }, already formatted
+function hearingHtml(h) {
+    const rows = [["When", h.when], ["Court", h.court], ["Bench", h.bench], ["Courtroom", h.courtroom], ["Purpose", h.purpose]];
+    return `<p>${rows.filter(([, v]) => v).map(([k, v]) => `<b>${k}:</b> ${esc(v)}`).join("<br>")}</p>`;
+}
+const hearingText = (h) => [h.when, h.court, h.courtroom && `Courtroom ${h.courtroom}`].filter(Boolean).join(", ");
+
+const hearingChange = (subject, lead, title) => ({
+    label: "Hearing dates",
+    email: (d) => ({ subject, html: `<p>${lead} for case (<b>${esc(d.caseId)}</b>):</p>${hearingHtml(d.hearing)}` }),
+    sms: (d) => `CourtEase: ${title.toLowerCase()} for case ${d.caseId}: ${hearingText(d.hearing)}`,
+    inApp: (d) => ({ title, body: `Case ${d.caseId}: ${hearingText(d.hearing)}`, link: caseLink(d.caseId) })
+});
+
+const TEMPLATES = {
+    "welcome": {
+        label: "Account",
+        essential: true,
+        email: (d) => ({
+            subject: "Welcome to CourtEase",
+            html: `<h2>Welcome, ${esc(d.name)}!</h2>
+                   <p>Your account has been successfully created as a <b>${esc(d.role)}</b>.</p>
+                   <p>You can now log in to your dashboard.</p>`
+        })
+    },
+
+    "password-reset": {
+        label: "Account",
+        essential: true,
+        email: (d) => ({
+            subject: "Reset your CourtEase password",
+            html: `<p>An administrator has started a password reset for your account.</p>
+                   <p><a href="${esc(d.link)}">Choose a new password</a></p>`
+        })
+    },
+
+    "case-uploaded": {
+        label: "Case updates",
+        email: (d) => ({
+            subject: "Case Uploaded Successfully",
+            html: `<h3>Your case has been uploaded to CourtEase</h3>
+                   <p>Case ID: <b>${esc(d.caseId)}</b></p>
+                   <p>Summary: ${esc(d.summary)}</p>`
+        }),
+        inApp: (d) => ({ title: "Case uploaded", body: `Case ${d.caseId} has been saved.`, link: caseLink(d.caseId) })
+    },
+
+    "lawyer-requested": {
+        label: "Counsel requests",
+        email: (d) => ({
+            subject: "New Case Request",
+            html: `<p>${esc(d.clientName)} has requested you as counsel for case <b>${esc(d.caseId)}</b>.</p>
+                   <p>Log in to CourtEase to accept or decline.</p>`
+        }),
+        sms: (d) => `CourtEase: ${d.clientName} has requested you as counsel for case ${d.caseId}. Log in to accept or decline.`,
+        inApp: (d) => ({ title: "New case request", body: `${d.clientName} has requested you as counsel for case ${d.caseId}.`, link: caseLink(d.caseId) })
+    },
+
+    "request-answered": {
+        label: "Counsel requests",
+        email: (d) => d.accepted
+            ? { subject: "Case Update: Counsel Assigned", html: `<p><b>${esc(d.lawyerName)}</b> has accepted your case (<b>${esc(d.caseId)}</b>) and is now your counsel.</p>` }
+            : { subject: "Case Update: Request Declined", html: `<p><b>${esc(d.lawyerName)}</b> is unable to take on your case (<b>${esc(d.caseId)}</b>). You can request another lawyer from the case page.</p>` },
+        sms: (d) => `CourtEase: ${d.lawyerName} has ${d.accepted ? "accepted" : "declined"} your case ${d.caseId}.`,
+        inApp: (d) => ({
+            title: d.accepted ? "Counsel assigned" : "Request declined",
+            body: d.accepted ? `${d.lawyerName} is now your counsel for case ${d.caseId}.` : `${d.lawyerName} is unable to take on case ${d.caseId}.`,
+            link: caseLink(d.caseId)
+        })
+    },
+
+    "counsel-changed": {
+        label: "Case updates",
+        email: (d) => ({ subject: "Case Update: Counsel Changed", html: `<p>Counsel for case <b>${esc(d.caseId)}</b> is now <b>${esc(d.lawyerName || "unassigned")}</b>.</p>` }),
+        inApp: (d) => ({ title: "Counsel changed", body: `Counsel for case ${d.caseId} is now ${d.lawyerName || "unassigned"}.`, link: caseLink(d.caseId) })
+    },
+
+    "status-changed": {
+        label: "Case updates",
+        email: (d) => ({ subject: "Case Update: Status Changed", html: `<p>The status for case (<b>${esc(d.caseId)}</b>) has been updated to <b>${esc(d.status)}</b>.</p>` }),
+        sms: (d) => `CourtEase: case ${d.caseId} is now ${d.status}.`,
+        inApp: (d) => ({ title: "Status changed", body: `Case ${d.caseId} is now ${d.status}.`, link: caseLink(d.caseId) })
+    },
+
+    "hearing-scheduled": hearingChange("Case Update: New Hearing Date", "A hearing has been scheduled", "Hearing scheduled"),
+    "hearing-rescheduled": hearingChange("Case Update: Hearing Rescheduled", "A hearing has been rescheduled. It is now", "Hearing rescheduled"),
+    "hearing-cancelled": hearingChange("Case Update: Hearing Cancelled", "The following hearing has been cancelled", "Hearing cancelled"),
+
+    "hearing-reminder": {
+        label: "Hearing reminders",
+        email: (d) => ({
+            subject: `Hearing Reminder: ${d.caseId} ${d.when}`,
+            html: `<p>This is a reminder that case (<b>${esc(d.caseId)}</b>) has a hearing ${esc(d.when)}.</p>${hearingHtml(d.hearing)}`
+        }),
+        sms: (d) => `CourtEase reminder: case ${d.caseId} has a hearing ${d.when} - ${hearingText(d.hearing)}`,
+        inApp: (d) => ({ title: `Hearing ${d.when}`, body: `Case ${d.caseId}: ${hearingText(d.hearing)}`, link: caseLink(d.caseId) })
+    }
+};
+
+const CHANNELS = ["email", "sms", "inApp"];
+
+const layout = (html) => `<div style="font-family:Arial,sans-serif; color:#0F172A;">${html}
+<hr style="border:none; border-top:1px solid #E2E8F0; margin-top:24px;">
+<p style="color:#64748B; font-size:12px;">CourtEase &middot; You can choose which notifications you get under Edit Profile.</p></div>`;
+
+const toText = (html) => html.replace(/<br\s*\/?>/gi, "\n").replace(/<\/(p|h\d|div)>/gi, "\n").replace(/<[^>]+>/g, "")
+    .replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&middot;/g, "·")
+    .replace(/[^\S\n]+/g, " ").replace(/ *\n */g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+
+function getTemplate(name) {
+    const template = Object.hasOwn(TEMPLATES, name) ? TEMPLATES[name] : null;
+    if (!template) throw new Error(`Unknown notification template: ${name}`);
+    return template;
+}
+
+// The message for each channel the template uses: { email: { subject, html, text }, sms: { text }, inApp: { title, body, link } }
+function renderTemplate(name, data) {
+    const template = getTemplate(name);
+    const out = {};
+    if (template.email) {
+        const { subject, html } = template.email(data);
+        out.email = { subject, html: layout(html), text: toText(html) };
+    }
+    if (template.sms) out.sms = { text: template.sms(data) };
+    if (template.inApp) out.inApp = template.inApp(data);
+    return out;
+}
+
+module.exports = { TEMPLATES, CHANNELS, getTemplate, renderTemplate };
@@ -0,0 +1,110 @@
+// lib/notifications/transports.js
+// Outbound channels. A transport is { name, send(message) } where send resolves to { id } (the
+// provider's message id, when it gives one) or throws; the notifier records and retries failures.
+//   email: send({ to, subject, html, text })
+//   sms:   send({ to, text })
+// A channel with no transport configured gets the "none" transport, whose deliveries are logged
+// as skipped rather than failed.
+
+const nodemailer = require("nodemailer");
+const axios = require("axios");
+
+// Keeps every message in `sent` instead of sending it. For tests and local development.
+function createCaptureTransport(name = "capture") {
+    const sent = [];
+    return {
+        name,
+        sent,
+        async send(message) {
+            sent.push({ ...message, at: new Date().toISOString() });
+            return { id: `${name}-${sent.length}` };
+        }
+    };
+}
+
+const noTransport = (reason) => ({ name: "none", disabled: true, reason, async send() { throw new Error(reason); } });
+
+function mailTransport(name, options, from) {
+    const mailer = nodemailer.createTransport(options);
+    return {
+        name,
+        async send({ to, subject, html, text }) {
+            const info = await mailer.sendMail({ from, to, subject, html, text });
+            return { id: info.messageId || null };
+        }
+    };
+}
+
+// config: EMAIL_TRANSPORT ("gmail" | "smtp" | "capture" | "none"), EMAIL_USER, EMAIL_PASS, EMAIL_FROM,
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE. Gmail is the default when EMAIL_USER and EMAIL_PASS are set.
+function createEmailTransport(config) {
+    const kind = config.EMAIL_TRANSPORT || (config.EMAIL_USER && config.EMAIL_PASS ? "gmail" : "none");
+    const from = config.EMAIL_FROM || `"CourtEase Team" <${config.EMAIL_USER || "no-reply@courtease.local"}>`;
+    const auth = config.EMAIL_USER && config.EMAIL_PASS ? { user: config.EMAIL_USER, pass: config.EMAIL_PASS } : undefined;
+    switch (kind) {
+        case "gmail":
+            if (!auth) return noTransport("Email is not configured (EMAIL_USER / EMAIL_PASS missing)");
+            return mailTransport("gmail", { service: "gmail", auth }, from);
+        case "smtp":
+            // A local stand-in (MailHog, smtp4dev, ...) usually needs no auth and no TLS
+            return mailTransport("smtp", {
+                host: config.SMTP_HOST || "localhost",
+                port: parseInt(config.SMTP_PORT, 10) || 1025,
+                secure: config.SMTP_SECURE === "true",
+                auth
+            }, from);
+        case "capture":
+            return createCaptureTransport("capture");
+        case "none":
+            return noTransport("Email is not configured (EMAIL_TRANSPORT)");
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT: ${kind}`);
+    }
+}
+
+// SMS providers, by SMS_PROVIDER. Each is (config) => transport; add new gateways here.
+const SMS_PROVIDERS = {
+    // Twilio's Messages API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM)
+    twilio(config) {
+        if (!config.TWILIO_ACCOUNT_SID || !config.TWILIO_AUTH_TOKEN || !config.TWILIO_FROM) {
+            return noTransport("Twilio is not configured (TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN / TWILIO_FROM)");
+        }
+        const url = `https://api.twilio.com/2010-04-01/Accounts/${config.TWILIO_ACCOUNT_SID}/Messages.json`;
+        return {
+            name: "twilio",
+            async send({ to, text }) {
+                const body = new URLSearchParams({ To: to, From: config.TWILIO_FROM, Body: text });
+                const { data } = await axios.post(url, body.toString(), {
+                    auth: { username: config.TWILIO_ACCOUNT_SID, password: config.TWILIO_AUTH_TOKEN },
+                    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+                    timeout: 15000
+                });
+                return { id: data?.sid || null };
+            }
+        };
+    },
+    // Any gateway (or an in-house relay) that takes POST { to, text } with a bearer token
+    http(config) {
+        if (!config.SMS_API_URL) return noTransport("SMS gateway is not configured (SMS_API_URL)");
+        return {
+            name: "http",
+            async send({ to, text }) {
+                const { data } = await axios.post(config.SMS_API_URL, { to, text }, {
+                    headers: config.SMS_API_KEY ? { Authorization: `Bearer ${config.SMS_API_KEY}` } : {},
+                    timeout: 15000
+                });
+                return { id: data?.id || null };
+            }
+        };
+    },
+    capture: () => createCaptureTransport("capture"),
+    none: () => noTransport("SMS is not configured (SMS_PROVIDER)")
+};
+
+function createSmsTransport(config) {
+    const kind = config.SMS_PROVIDER || "none";
+    if (!Object.hasOwn(SMS_PROVIDERS, kind)) throw new Error(`Unknown SMS_PROVIDER: ${kind}`);
+    return SMS_PROVIDERS[kind](config);
+}
+
+module.exports = { createEmailTransport, createSmsTransport, createCaptureTransport, SMS_PROVIDERS };
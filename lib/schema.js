@@ -0,0 +1,121 @@
+// lib/schema.js
+// Small declarative schemas for structured AI output. A schema both validates a parsed value
+// (coercing near-misses such as numbers-as-strings or a lone string where a list was expected)
+// and describes the expected JSON shape back to the model.
+//
+// Schema nodes:
+//   { type: "string",  required, default, minLength, maxLength, enum, description }
+//   { type: "number",  required, default, min, max, description }
+//   { type: "boolean", required, default, description }
+//   { type: "array",   required, default, items: <node>, minItems, maxItems, description }
+//   { type: "object",  required, default, properties: { key: <node> }, shorthand, description }
+// Unknown object keys are dropped. Missing optional fields take their `default` when one is set.
+// `shorthand` names the property a bare string is put into, so "x" reads as { [shorthand]: "x" }.
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === "string" && !v.trim());
+
+function coerceString(value) {
+    if (typeof value === "string") return value.trim();
+    if (typeof value === "number" || typeof value === "boolean") return String(value);
+    // Models sometimes answer a paragraph field with a list of lines
+    if (Array.isArray(value) && value.every(v => typeof v === "string" || typeof v === "number")) return value.join("\n");
+    return undefined;
+}
+
+function coerceNumber(value) {
+    if (typeof value === "number" && Number.isFinite(value)) return value;
+    if (typeof value === "string" && value.trim() !== "") {
+        const n = Number(value.trim().replace(/%$/, ""));
+        if (Number.isFinite(n)) return n;
+    }
+    return undefined;
+}
+
+function coerceBoolean(value) {
+    if (typeof value === "boolean") return value;
+    if (value === "true" || value === "yes") return true;
+    if (value === "false" || value === "no") return false;
+    return undefined;
+}
+
+function check(node, value, path, errors) {
+    if (isBlank(value)) {
+        if (node.default !== undefined) return structuredClone(node.default);
+        if (node.required) errors.push(`${path}: is required`);
+        return undefined;
+    }
+
+    switch (node.type) {
+        case "string": {
+            const s = coerceString(value);
+            if (s === undefined) { errors.push(`${path}: expected a string`); return undefined; }
+            if (node.enum) {
+                const match = node.enum.find(e => e.toLowerCase() === s.toLowerCase());
+                if (!match) { errors.push(`${path}: must be one of ${node.enum.join(", ")}`); return undefined; }
+                return match;
+            }
+            if (node.minLength && s.length < node.minLength) errors.push(`${path}: must be at least ${node.minLength} characters`);
+            return node.maxLength ? s.slice(0, node.maxLength) : s;
+        }
+        case "number": {
+            const n = coerceNumber(value);
+            if (n === undefined) { errors.push(`${path}: expected a number`); return undefined; }
+            if (node.min !== undefined && n < node.min) return node.min;
+            if (node.max !== undefined && n > node.max) return node.max;
+            return n;
+        }
+        case "boolean": {
+            const b = coerceBoolean(value);
+            if (b === undefined) errors.push(`${path}: expected true or false`);
+            return b;
+        }
+        case "array": {
+            const list = Array.isArray(value) ? value : [value];
+            const out = [];
+            list.forEach((item, i) => {
+                const v = check(node.items, item, `${path}[${i}]`, errors);
+                if (v !== undefined) out.push(v);
+            });
+            if (node.minItems && out.length < node.minItems) errors.push(`${path}: needs at least ${node.minItems} item(s)`);
+            return node.maxItems ? out.slice(0, node.maxItems) : out;
+        }
+        case "object": {
+            if (typeof value === "string" && node.shorthand) value = { [node.shorthand]: value };
+            if (typeof value !== "object" || Array.isArray(value)) { errors.push(`${path}: expected an object`); return undefined; }
+            const out = {};
+            for (const [key, child] of Object.entries(node.properties)) {
+                const v = check(child, value[key], `${path}.${key}`, errors);
+                if (v !== undefined) out[key] = v;
+            }
+            return out;
+        }
+        default:
+            throw new Error(`Unknown schema type: ${node.type}`);
+    }
+}
+
+// Returns { value, errors }; `value` is the coerced copy and is only trustworthy when errors is empty
+function validate(schema, value) {
+    const errors = [];
+    const out = check(schema, value, "$", errors);
+    return { value: out, errors };
+}
+
+// An example document for prompts, built from the field descriptions
+function example(node) {
+    switch (node.type) {
+        case "object": return Object.fromEntries(Object.entries(node.properties).map(([k, v]) => [k, example(v)]));
+        case "array": return [example(node.items)];
+        case "number": return node.description ? `<number: ${node.description}>` : 0;
+        case "boolean": return false;
+        default:
+            if (node.enum) return node.enum.join(" | ");
+            return node.description ? `<${node.description}>` : "...";
+    }
+}
+
+function describe(schema) {
+    return JSON.stringify(example(schema), null, 2);
+}
+
+module.exports = { validate, describe };
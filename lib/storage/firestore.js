@@ -0,0 +1,91 @@
+// lib/storage/firestore.js
+// Firestore driver: profiles and records live in Firestore, credentials in Firebase Auth.
+
+const axios = require("axios");
+
+function createFirestoreDriver({ admin, db, webApiKey }) {
+    const { FieldValue } = admin.firestore;
+    const withId = (doc) => doc.exists ? { id: doc.id, ...doc.data() } : null;
+
+    const accounts = {
+        async create({ email, password, name }) {
+            const record = await admin.auth().createUser({ email, password, displayName: name });
+            return record.uid;
+        },
+        // Returns the uid for valid credentials, throws with the Firebase error code otherwise
+        async verify(email, password) {
+            const url = `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${webApiKey}`;
+            try {
+                const res = await axios.post(url, { email, password, returnSecureToken: true });
+                return res.data.localId;
+            } catch (e) { throw new Error(e.response?.data?.error?.message || "Login Failed"); }
+        },
+        async setName(uid, name) { await admin.auth().updateUser(uid, { displayName: name }); },
+        async setPassword(uid, password) { await admin.auth().updateUser(uid, { password }); },
+        async resetLink(email) { return admin.auth().generatePasswordResetLink(email); },
+        async setDisabled(uid, disabled) { await admin.auth().updateUser(uid, { disabled }); },
+        async remove(uid) {
+            await admin.auth().deleteUser(uid).catch(e => { if (e.code !== 'auth/user-not-found') throw e; });
+        }
+    };
+
+    return {
+        name: "firestore",
+        accounts,
+
+        async insert(collection, data, id) {
+            const ref = id ? db.collection(collection).doc(id) : db.collection(collection).doc();
+            await ref.set(data);
+            return { id: ref.id, ...data };
+        },
+
+        async get(collection, id) {
+            if (!id) return null;
+            return withId(await db.collection(collection).doc(String(id)).get());
+        },
+
+        // Patch keys may be dot paths ("stats.docs"), as in Firestore itself
+        async update(collection, id, patch) {
+            await db.collection(collection).doc(String(id)).update(patch);
+        },
+
+        async remove(collection, id) {
+            await db.collection(collection).doc(String(id)).delete();
+        },
+
+        // where: { field: value } equality filters. orderBy/direction/limit/after for paging; `after`
+        // is the last orderBy value read, or [value, id] to page exactly past records that share it.
+        async find(collection, { where = {}, orderBy, direction = "asc", limit, after } = {}) {
+            let query = db.collection(collection);
+            Object.entries(where).forEach(([field, value]) => { query = query.where(field, "==", value); });
+            if (orderBy) query = query.orderBy(orderBy, direction);
+            // Firestore already breaks ties by document id; naming that order lets the cursor carry the id
+            if (orderBy && Array.isArray(after)) query = query.orderBy(admin.firestore.FieldPath.documentId(), direction).startAfter(...after);
+            else if (orderBy && after !== undefined) query = query.startAfter(after);
+            if (limit) query = query.limit(limit);
+            const snap = await query.get();
+            return snap.docs.map(withId);
+        },
+
+        async append(collection, id, field, item) {
+            await db.collection(collection).doc(String(id)).update({ [field]: FieldValue.arrayUnion(item) });
+        },
+
+        async increment(collection, id, field, by = 1) {
+            await db.collection(collection).doc(String(id)).update({ [field]: FieldValue.increment(by) });
+        },
+
+        // In a transaction, so a write to the document in between (such as an arrayUnion append)
+        // makes Firestore run `change` again on the new value instead of being overwritten
+        async modify(collection, id, field, change) {
+            const ref = db.collection(collection).doc(String(id));
+            await db.runTransaction(async (t) => {
+                const snap = await t.get(ref);
+                if (!snap.exists) throw new Error(`No document ${collection}/${id}`);
+                t.update(ref, { [field]: change(snap.get(field)) });
+            });
+        }
+    };
+}
+
+module.exports = { createFirestoreDriver };
@@ -0,0 +1,185 @@
+// lib/storage/index.js
+// One storage interface for users, cases, hearings, notes, notifications, documents, chat threads and the audit log. Route handlers only talk to
+// this facade; the driver underneath is Firestore (live) or local (memory / JSON file).
+//
+// Drivers implement: insert, get, update, remove, find, append, increment, modify and an
+// `accounts` object for credentials. See firestore.js and local.js.
+
+const { createFirestoreDriver } = require("./firestore");
+const { createLocalDriver } = require("./local");
+
+const notesOf = (caseId) => `cases/${caseId}/notes`;
+const inboxOf = (userId) => `users/${userId}/notifications`;
+
+function createStorage(driver) {
+    return {
+        driver: driver.name,
+
+        // Generic record access, for collections without a dedicated helper below
+        insert: driver.insert,
+        get: driver.get,
+        update: driver.update,
+        remove: driver.remove,
+        find: driver.find,
+        append: driver.append,
+        increment: driver.increment,
+        // modify(collection, id, field, change) replaces a field with change(its current value),
+        // atomically. `change` must be synchronous and may be called more than once.
+        modify: driver.modify,
+
+        // --- Users (profile in "users", credentials in the driver's account store) ---
+
+        async createUser({ name, email, password, role }) {
+            const uid = await driver.accounts.create({ email, password, name });
+            return driver.insert("users", {
+                name, email, role,
+                createdAt: new Date().toISOString(),
+                stats: { cases: 0, docs: 0 }
+            }, uid);
+        },
+
+        // Resolves to the user for valid credentials, throws otherwise
+        async verifyCredentials(email, password) {
+            const uid = await driver.accounts.verify(email, password);
+            // Accounts created outside the app (e.g. in the Firebase console) may have no profile yet
+            return (await driver.get("users", uid)) || driver.insert("users", {
+                name: "User", email, role: "Litigant",
+                createdAt: new Date().toISOString(),
+                stats: { cases: 0, docs: 0 }
+            }, uid);
+        },
+
+        getUser: (uid) => driver.get("users", uid),
+        findUsers: (where = {}) => driver.find("users", { where }),
+
+        async updateUser(uid, patch) {
+            await driver.update("users", uid, patch);
+            if (patch.name) await driver.accounts.setName(uid, patch.name);
+        },
+
+        setPassword: (uid, password) => driver.accounts.setPassword(uid, password),
+        passwordResetLink: (email) => driver.accounts.resetLink(email),
+
+        async setUserDisabled(uid, disabled) {
+            await driver.accounts.setDisabled(uid, disabled);
+            await driver.update("users", uid, { disabled });
+        },
+
+        async deleteUser(uid) {
+            for (const n of await driver.find(inboxOf(uid))) await driver.remove(inboxOf(uid), n.id);
+            await driver.remove("users", uid);
+            await driver.accounts.remove(uid);
+        },
+
+        // --- Cases ---
+
+        createCase: (data) => driver.insert("cases", data, data.caseId),
+        getCase: (caseId) => driver.get("cases", caseId),
+        updateCase: (caseId, patch) => driver.update("cases", caseId, patch),
+        // Firestore keeps subcollections when their parent is deleted, so notes go first
+        async deleteCase(caseId) {
+            const notes = await driver.find(notesOf(caseId));
+            for (const n of notes) await driver.remove(notesOf(caseId), n.id);
+            await driver.remove("cases", caseId);
+        },
+        findCases: (where = {}) => driver.find("cases", { where }),
+
+        // --- Hearings (one record per hearing, across cases for calendars and reminders) ---
+
+        createHearing: (hearing) => driver.insert("hearings", hearing),
+        getHearing: (hearingId) => driver.get("hearings", hearingId),
+        updateHearing: (hearingId, patch) => driver.update("hearings", hearingId, patch),
+        deleteHearing: (hearingId) => driver.remove("hearings", hearingId),
+        // Soonest first (hearings without a time come first on their day); sorted here so Firestore needs no composite index
+        async findHearings(where = {}) {
+            const hearings = await driver.find("hearings", { where });
+            return hearings.sort((a, b) => `${a.date} ${a.time || ""}`.localeCompare(`${b.date} ${b.time || ""}`));
+        },
+
+        // --- Notes (one record per note in the case's "notes" subcollection) ---
+
+        addNote: (caseId, note, noteId) => driver.insert(notesOf(caseId), note, noteId),
+        getNote: (caseId, noteId) => driver.get(notesOf(caseId), noteId),
+        updateNote: (caseId, noteId, patch) => driver.update(notesOf(caseId), noteId, patch),
+        // Newest first, `limit` at a time; `before` is the [createdAt, id] of the last note already
+        // shown, or a createdAt to read on from
+        listNotes: (caseId, { limit, before } = {}) =>
+            driver.find(notesOf(caseId), { orderBy: "createdAt", direction: "desc", limit, after: before }),
+
+        // --- Analyses (strategy history, kept on the case document) ---
+
+        addAnalysis: (caseId, analysis) => driver.append("cases", caseId, "analyses", analysis),
+
+        // --- Status history (workflow transitions, kept on the case document) ---
+
+        addStatusChange: (caseId, change) => driver.append("cases", caseId, "statusHistory", change),
+
+        // --- Research (the case's judgments list, kept on the case document) ---
+
+        addJudgment: (caseId, judgment) => driver.append("cases", caseId, "judgments", judgment),
+        // Edits or removals: change(list) returns the new list, so judgments added meanwhile are kept
+        changeJudgments: (caseId, change) =>
+            driver.modify("cases", caseId, "judgments", (list) => change(Array.isArray(list) ? list : [])),
+
+        // --- Documents (metadata records; file bytes are stored separately) ---
+
+        addDocument: (doc, docId) => driver.insert("documents", doc, docId),
+        getDocument: (docId) => driver.get("documents", docId),
+        async findDocuments(where = {}) {
+            const docs = await driver.find("documents", { where });
+            return docs.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+        },
+        deleteDocument: (docId) => driver.remove("documents", docId),
+
+        // --- Chat threads (one record per conversation, messages kept on the record) ---
+
+        createThread: (thread) => driver.insert("chats", thread),
+        getThread: (threadId) => driver.get("chats", threadId),
+        updateThread: (threadId, patch) => driver.update("chats", threadId, patch),
+        deleteThread: (threadId) => driver.remove("chats", threadId),
+        addMessage: (threadId, message) => driver.append("chats", threadId, "messages", message),
+        // Newest activity first; sorted here so Firestore needs no composite index
+        async findThreads(where = {}) {
+            const threads = await driver.find("chats", { where });
+            return threads.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+        },
+
+        // --- Notifications (each user's in-app inbox) and the delivery log (outbound email and SMS) ---
+
+        addNotification: (userId, notification) => driver.insert(inboxOf(userId), notification),
+        updateNotification: (userId, notificationId, patch) => driver.update(inboxOf(userId), notificationId, patch),
+        // Newest first, `limit` at a time; `before` is the createdAt of the last one already shown
+        listNotifications: (userId, { limit, before } = {}) =>
+            driver.find(inboxOf(userId), { orderBy: "createdAt", direction: "desc", limit, after: before }),
+        findNotifications: (userId, where = {}) => driver.find(inboxOf(userId), { where }),
+
+        addDelivery: (delivery) => driver.insert("deliveries", delivery),
+        getDelivery: (deliveryId) => driver.get("deliveries", deliveryId),
+        updateDelivery: (deliveryId, patch) => driver.update("deliveries", deliveryId, patch),
+        findDeliveries: (where = {}) => driver.find("deliveries", { where }),
+        listDeliveries: ({ limit, before } = {}) =>
+            driver.find("deliveries", { orderBy: "createdAt", direction: "desc", limit, after: before }),
+
+        // --- Audit log (append-only: there is deliberately no update or remove for it) ---
+
+        addAuditEvent: (event) => driver.insert("audit", event),
+        // Newest first (oldest first with `oldestFirst`), `limit` at a time; `after` is the
+        // [createdAt, id] of the last event already read, or a createdAt to read on from
+        listAuditEvents: ({ limit, after, oldestFirst = false } = {}) =>
+            driver.find("audit", { orderBy: "createdAt", direction: oldestFirst ? "asc" : "desc", limit, after }),
+
+        // --- Drafts (one record per drafted document, versions kept on the record) ---
+
+        createDraft: (draft) => driver.insert("drafts", draft),
+        getDraft: (draftId) => driver.get("drafts", draftId),
+        updateDraft: (draftId, patch) => driver.update("drafts", draftId, patch),
+        deleteDraft: (draftId) => driver.remove("drafts", draftId),
+        addDraftVersion: (draftId, version) => driver.append("drafts", draftId, "versions", version),
+        async findDrafts(where = {}) {
+            const drafts = await driver.find("drafts", { where });
+            return drafts.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+        }
+    };
+}
+
+module.exports = { createStorage, createFirestoreDriver, createLocalDriver };
@@ -0,0 +1,139 @@
+// lib/storage/local.js
+// Local driver for offline development and tests. Everything is kept in memory and,
+// when a file path is given, mirrored to a JSON file so data survives restarts.
+// Passwords are bcrypt-hashed in a separate "accounts" collection, never on the profile.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+function getPath(obj, dotted) {
+    return dotted.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, dotted, value) {
+    const keys = dotted.split(".");
+    const last = keys.pop();
+    const target = keys.reduce((o, k) => (o[k] = o[k] && typeof o[k] === "object" ? o[k] : {}), obj);
+    target[last] = value;
+}
+
+function createLocalDriver({ filePath } = {}) {
+    let data = { collections: {} };
+    if (filePath && fs.existsSync(filePath)) {
+        data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+
+    const persist = () => {
+        if (!filePath) return;
+        fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+        const tmp = filePath + ".tmp";
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, filePath);
+    };
+
+    const col = (name) => (data.collections[name] = data.collections[name] || {});
+
+    const record = (name, id) => {
+        const doc = col(name)[id];
+        if (!doc) throw new Error(`No document ${name}/${id}`);
+        return doc;
+    };
+
+    const driver = {
+        name: filePath ? "local-file" : "memory",
+
+        async insert(collection, doc, id) {
+            const key = id ? String(id) : crypto.randomUUID();
+            col(collection)[key] = clone(doc);
+            persist();
+            return { id: key, ...clone(doc) };
+        },
+
+        async get(collection, id) {
+            const doc = id ? col(collection)[String(id)] : null;
+            return doc ? { id: String(id), ...clone(doc) } : null;
+        },
+
+        async update(collection, id, patch) {
+            const doc = record(collection, String(id));
+            Object.entries(patch).forEach(([field, value]) => setPath(doc, field, clone(value)));
+            persist();
+        },
+
+        async remove(collection, id) {
+            delete col(collection)[String(id)];
+            persist();
+        },
+
+        async find(collection, { where = {}, orderBy, direction = "asc", limit, after } = {}) {
+            let docs = Object.entries(col(collection))
+                .filter(([, doc]) => Object.entries(where).every(([field, value]) => getPath(doc, field) === value))
+                .map(([id, doc]) => ({ id, ...clone(doc) }));
+            if (orderBy) {
+                // Ties are broken by id, as Firestore does
+                const sign = direction === "desc" ? -1 : 1;
+                const compare = (x, y) => (x === y ? 0 : (x > y ? 1 : -1));
+                docs.sort((a, b) => sign * (compare(getPath(a, orderBy), getPath(b, orderBy)) || compare(a.id, b.id)));
+                if (after !== undefined) {
+                    const [value, id] = Array.isArray(after) ? after : [after];
+                    docs = docs.filter(d => {
+                        const c = sign * compare(getPath(d, orderBy), value);
+                        return c > 0 || (c === 0 && id !== undefined && sign * compare(d.id, id) > 0);
+                    });
+                }
+            }
+            return limit ? docs.slice(0, limit) : docs;
+        },
+
+        async append(collection, id, field, item) {
+            const doc = record(collection, String(id));
+            const list = getPath(doc, field);
+            setPath(doc, field, [...(Array.isArray(list) ? list : []), clone(item)]);
+            persist();
+        },
+
+        async increment(collection, id, field, by = 1) {
+            const doc = record(collection, String(id));
+            setPath(doc, field, (Number(getPath(doc, field)) || 0) + by);
+            persist();
+        },
+
+        // Read and written in one step: nothing else runs between the two
+        async modify(collection, id, field, change) {
+            const doc = record(collection, String(id));
+            setPath(doc, field, clone(change(clone(getPath(doc, field)))));
+            persist();
+        }
+    };
+
+    driver.accounts = {
+        async create({ email, password }) {
+            const exists = Object.values(col("accounts")).some(a => a.email === email);
+            if (exists) throw new Error("EMAIL_EXISTS");
+            const uid = "USER-" + crypto.randomUUID();
+            await driver.insert("accounts", { email, passwordHash: await bcrypt.hash(String(password), 10), disabled: false }, uid);
+            return uid;
+        },
+        async verify(email, password) {
+            const entry = Object.entries(col("accounts")).find(([, a]) => a.email === email);
+            if (!entry || !(await bcrypt.compare(String(password), entry[1].passwordHash))) throw new Error("Invalid Credentials");
+            if (entry[1].disabled) throw new Error("USER_DISABLED");
+            return entry[0];
+        },
+        async setName() {},
+        async setPassword(uid, password) {
+            await driver.update("accounts", uid, { passwordHash: await bcrypt.hash(String(password), 10) });
+        },
+        async resetLink() { throw new Error("Reset links need Firebase - set a temporary password instead"); },
+        async setDisabled(uid, disabled) { await driver.update("accounts", uid, { disabled }); },
+        async remove(uid) { await driver.remove("accounts", uid); }
+    };
+
+    return driver;
+}
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,112 @@
+// lib/vault.js
+// AES-256-GCM encryption at rest for client documents and sensitive case fields.
+//
+// Keys come from the environment as a key ring, so old data stays readable after rotation:
+//   VAULT_KEYS="2025b:<base64 32 bytes>,2025a:<base64 32 bytes>"
+//   VAULT_ACTIVE_KEY="2025b"          (defaults to the first key listed)
+// New data is always sealed with the active key; every sealed value records the key id it used.
+//
+// Formats
+//   buffers: "CEV1" | kid length (1 byte) | kid | iv (12) | auth tag (16) | ciphertext
+//   strings: "enc:v1:<kid>:<iv>:<tag>:<ciphertext>"   (base64 parts)
+// Values without these markers are treated as legacy plaintext and returned unchanged.
+
+const crypto = require("crypto");
+
+const MAGIC = Buffer.from("CEV1");
+const STRING_PREFIX = "enc:v1:";
+
+function parseKeyring(spec = "") {
+    const keys = {};
+    spec.split(",").map(s => s.trim()).filter(Boolean).forEach(entry => {
+        const idx = entry.indexOf(":");
+        if (idx < 1) throw new Error("VAULT_KEYS entries must look like <id>:<base64 key>");
+        const kid = entry.slice(0, idx);
+        const key = Buffer.from(entry.slice(idx + 1), "base64");
+        if (key.length !== 32) throw new Error(`Vault key "${kid}" must be 32 bytes (base64 encoded)`);
+        keys[kid] = key;
+    });
+    return keys;
+}
+
+function createVault({ keys = {}, activeKeyId } = {}) {
+    const kids = Object.keys(keys);
+    const active = activeKeyId || kids[0] || null;
+    if (active && !keys[active]) throw new Error(`VAULT_ACTIVE_KEY "${active}" is not in VAULT_KEYS`);
+
+    const keyFor = (kid) => {
+        if (!keys[kid]) throw new Error(`Vault key "${kid}" is not configured - it is needed to read this data`);
+        return keys[kid];
+    };
+
+    const seal = (plain, kid) => {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv("aes-256-gcm", keyFor(kid), iv);
+        const ciphertext = Buffer.concat([cipher.update(plain), cipher.final()]);
+        return { iv, tag: cipher.getAuthTag(), ciphertext };
+    };
+
+    const open = (kid, iv, tag, ciphertext) => {
+        const decipher = crypto.createDecipheriv("aes-256-gcm", keyFor(kid), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    };
+
+    const vault = {
+        enabled: !!active,
+        activeKeyId: active,
+
+        isSealedBuffer: (buf) => Buffer.isBuffer(buf) && buf.length > 4 && buf.subarray(0, 4).equals(MAGIC),
+        isSealedString: (value) => typeof value === "string" && value.startsWith(STRING_PREFIX),
+
+        // Key id a sealed value was written with, or null for plaintext
+        keyIdOf(value) {
+            if (vault.isSealedString(value)) return value.slice(STRING_PREFIX.length).split(":")[0];
+            if (vault.isSealedBuffer(value)) return value.subarray(5, 5 + value[4]).toString("utf8");
+            return null;
+        },
+
+        // True when a value should be (re-)sealed with the active key
+        needsRotation(value) {
+            if (!vault.enabled || value == null || value === "") return false;
+            return vault.keyIdOf(value) !== active;
+        },
+
+        encryptBuffer(buf) {
+            if (!vault.enabled) return buf;
+            const kid = Buffer.from(active, "utf8");
+            const { iv, tag, ciphertext } = seal(buf, active);
+            return Buffer.concat([MAGIC, Buffer.from([kid.length]), kid, iv, tag, ciphertext]);
+        },
+
+        decryptBuffer(buf) {
+            if (!vault.isSealedBuffer(buf)) return buf;
+            const kidLen = buf[4];
+            const kid = buf.subarray(5, 5 + kidLen).toString("utf8");
+            let offset = 5 + kidLen;
+            const iv = buf.subarray(offset, offset += 12);
+            const tag = buf.subarray(offset, offset += 16);
+            return open(kid, iv, tag, buf.subarray(offset));
+        },
+
+        // Always seals, even text that already looks sealed: callers pass user text, and a user can type "enc:v1:"
+        encryptString(value) {
+            if (!vault.enabled || value == null) return value;
+            const { iv, tag, ciphertext } = seal(Buffer.from(String(value), "utf8"), active);
+            return STRING_PREFIX + [active, iv.toString("base64"), tag.toString("base64"), ciphertext.toString("base64")].join(":");
+        },
+
+        decryptString(value) {
+            if (!vault.isSealedString(value)) return value;
+            const [kid, iv, tag, ciphertext] = value.slice(STRING_PREFIX.length).split(":");
+            return open(kid, Buffer.from(iv, "base64"), Buffer.from(tag, "base64"), Buffer.from(ciphertext, "base64")).toString("utf8");
+        },
+
+        // Re-seal with the active key (plaintext gets sealed for the first time); values already under it are kept
+        rotateBuffer: (buf) => (vault.needsRotation(buf) ? vault.encryptBuffer(vault.decryptBuffer(buf)) : buf),
+        rotateString: (value) => (vault.needsRotation(value) ? vault.encryptString(vault.decryptString(value)) : value)
+    };
+    return vault;
+}
+
+module.exports = { createVault, parseKeyring };
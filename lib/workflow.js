@@ -0,0 +1,137 @@
+// lib/workflow.js
+// The case status workflow: which statuses exist, which moves between them are allowed, and what
+// each move has to record. A deployment can replace the default with its own JSON file
+// (CASE_WORKFLOW_PATH) of the same shape:
+//
+//   {
+//     "initial": "Submitted",
+//     "statuses": [{ "name": "Closed", "closed": true, "description": "..." }, ...],
+//     "transitions": [{ "from": ["Filed", ...] | "*", "to": "Closed", "reasonRequired": false,
+//                       "fields": [{ "key": "outcome", "label": "Outcome", "type": "select", "options": [...] }] }]
+//   }
+//
+// Field: { key, label, type: "text" | "textarea" | "date" | "select", options (select only), optional }.
+// Every transition takes a free-text reason; `reasonRequired` makes it mandatory.
+
+const MAX_REASON_CHARS = 1000;
+const MAX_FIELD_CHARS = 500;
+const FIELD_TYPES = ["text", "textarea", "date", "select"];
+
+class WorkflowError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "WorkflowError";
+        this.status = status;
+    }
+}
+
+const ACTIVE = ["Submitted", "Filed", "Hearing Scheduled", "On Hold", "Reopened"];
+
+const DEFAULT_WORKFLOW = {
+    initial: "Submitted",
+    statuses: [
+        { name: "Submitted", description: "Uploaded and awaiting filing" },
+        { name: "Filed", description: "Filed in court" },
+        { name: "Hearing Scheduled", description: "Listed for hearing" },
+        { name: "On Hold", description: "Paused (stay, settlement talks, awaiting documents)" },
+        { name: "Closed", closed: true, description: "Disposed of, settled or withdrawn" },
+        { name: "Reopened", description: "Closed, then taken up again (review, restoration, appeal)" }
+    ],
+    transitions: [
+        { from: ["Submitted", "Reopened", "On Hold"], to: "Filed", fields: [
+            { key: "filingNumber", label: "Filing / diary number", type: "text", optional: true }
+        ] },
+        { from: ["Filed", "On Hold", "Reopened"], to: "Hearing Scheduled" },
+        { from: ["Hearing Scheduled"], to: "Filed" },
+        { from: ["On Hold"], to: "Submitted" },
+        { from: ["Submitted", "Filed", "Hearing Scheduled", "Reopened"], to: "On Hold", reasonRequired: true },
+        { from: ACTIVE, to: "Closed", fields: [
+            { key: "outcome", label: "Outcome", type: "select", options: ["Allowed", "Partly allowed", "Dismissed", "Settled", "Withdrawn", "Disposed of"] },
+            { key: "disposalDate", label: "Date of disposal", type: "date", optional: true }
+        ] },
+        { from: ["Closed"], to: "Reopened", reasonRequired: true }
+    ]
+};
+
+function checkDefinition(def) {
+    if (!def || !Array.isArray(def.statuses) || !Array.isArray(def.transitions)) throw new WorkflowError("Workflow needs statuses and transitions");
+    const names = def.statuses.map(s => s && s.name);
+    if (names.some(n => typeof n !== "string" || !n.trim())) throw new WorkflowError("Every workflow status needs a name");
+    if (new Set(names).size !== names.length) throw new WorkflowError("Workflow status names must be unique");
+    if (!names.includes(def.initial)) throw new WorkflowError(`Initial status "${def.initial}" is not a workflow status`);
+    const seen = new Set();
+    def.transitions.forEach(t => {
+        const from = t.from === "*" ? names.filter(n => n !== t.to) : t.from;
+        if (!Array.isArray(from) || !from.length) throw new WorkflowError(`Transition to "${t.to}" needs a from list (or "*")`);
+        [...from, t.to].forEach(n => { if (!names.includes(n)) throw new WorkflowError(`Transition refers to unknown status "${n}"`); });
+        from.forEach(f => {
+            if (f === t.to) throw new WorkflowError(`"${f}" cannot transition to itself`);
+            if (seen.has(`${f}>${t.to}`)) throw new WorkflowError(`Transition "${f}" -> "${t.to}" is listed twice`);
+            seen.add(`${f}>${t.to}`);
+        });
+        (t.fields || []).forEach(f => {
+            if (!f.key || !f.label || !FIELD_TYPES.includes(f.type)) throw new WorkflowError(`Transition to "${t.to}" has an invalid field`);
+            if (f.type === "select" && !(Array.isArray(f.options) && f.options.length)) throw new WorkflowError(`Field "${f.key}" needs options`);
+        });
+    });
+}
+
+// A workflow from a definition (DEFAULT_WORKFLOW when none is given); throws WorkflowError on a bad one
+function createWorkflow(def = DEFAULT_WORKFLOW) {
+    checkDefinition(def);
+    const statuses = def.statuses.map(s => ({ name: s.name, closed: Boolean(s.closed), description: s.description || "" }));
+    const names = statuses.map(s => s.name);
+    const transitions = def.transitions.flatMap(t => (t.from === "*" ? names : t.from).filter(f => f !== t.to).map(from => ({
+        from, to: t.to, reasonRequired: Boolean(t.reasonRequired), fields: (t.fields || []).map(f => ({ ...f, optional: Boolean(f.optional) }))
+    })));
+
+    const isStatus = (name) => names.includes(name);
+
+    // Moves open from a status. A case whose status is not in the workflow (set before it existed,
+    // or since removed from it) may move to any status, taking the first rule found into it.
+    function transitionsFrom(status) {
+        if (isStatus(status)) return transitions.filter(t => t.from === status);
+        return names.map(to => transitions.find(t => t.to === to) || { to, reasonRequired: false, fields: [] }).map(t => ({ ...t, from: status }));
+    }
+
+    // The reason and field values to record for a move, or a WorkflowError (409 when the move
+    // itself is not allowed, 400 when what it needs is missing or invalid)
+    function check(from, to, { reason, fields } = {}) {
+        if (!isStatus(to)) throw new WorkflowError(`Unknown status "${to}"`);
+        const rule = transitionsFrom(from).find(t => t.to === to);
+        if (!rule) {
+            const allowed = transitionsFrom(from).map(t => t.to);
+            throw new WorkflowError(`A case cannot move from "${from}" to "${to}"` + (allowed.length ? `. Allowed: ${allowed.join(", ")}` : ""), 409);
+        }
+        const why = typeof reason === "string" ? reason.trim().slice(0, MAX_REASON_CHARS) : "";
+        const errors = [];
+        if (rule.reasonRequired && !why) errors.push("A reason is required");
+        const values = {};
+        rule.fields.forEach(f => {
+            const raw = fields && typeof fields === "object" ? fields[f.key] : null;
+            const v = raw == null ? "" : String(raw).trim().slice(0, MAX_FIELD_CHARS);
+            if (!v) {
+                if (!f.optional) errors.push(`${f.label} is required`);
+                return;
+            }
+            if (f.type === "select" && !f.options.includes(v)) errors.push(`${f.label} must be one of: ${f.options.join(", ")}`);
+            else if (f.type === "date" && (!/^\d{4}-\d{2}-\d{2}$/.test(v) || isNaN(Date.parse(v)))) errors.push(`${f.label} must be a date`);
+            values[f.key] = v;
+        });
+        if (errors.length) throw new WorkflowError(errors.join("; "));
+        return { reason: why || null, fields: values };
+    }
+
+    return {
+        initial: def.initial,
+        statuses,
+        isStatus,
+        isClosed: (name) => statuses.some(s => s.name === name && s.closed),
+        transitionsFrom,
+        check,
+        // What the case page needs to offer the allowed moves and their forms
+        describe: () => ({ initial: def.initial, statuses, transitions })
+    };
+}
+
+module.exports = { WorkflowError, DEFAULT_WORKFLOW, createWorkflow };
@@ -0,0 +1,62 @@
+// test/access.test.js
+// Who may read and who may change the work on a case (notes, research, drafts and its details):
+// anyone who can view the case reads it, only its client and counsel (canWorkOnCase) change it.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+const AFFIDAVIT = {
+    deponentName: "Asha Verma", relation: "D/o Shri R. Verma", age: "41", address: "12 Mall Road, Patiala",
+    statements: "2. That the loan was not repaid.", place: "Patiala", date: "2026-10-01"
+};
+
+let ctx, client, lawyer, stranger, caseId, noteId, judgmentId, draftId;
+before(async () => {
+    ctx = await startApp();
+    ({ client, lawyer, caseId } = await ctx.caseWithCounsel("Access"));
+    stranger = await ctx.user("Access Stranger", "Lawyer");
+    ({ body: { note: { id: noteId } } } = await client("/api/cases/add-note", { caseId, note: "Documents are with my brother" }));
+    ({ body: { judgment: { id: judgmentId } } } = await client("/api/cases/research/add", { caseId, judgment: { title: "Some v. Other" } }));
+    ({ body: { draft: { id: draftId } } } = await client("/api/drafts/create", { caseId, templateId: "affidavit", values: AFFIDAVIT }));
+});
+after(() => ctx.close());
+
+const reads = () => [
+    ["/api/cases/notes", { caseId }],
+    ["/api/drafts/list", { caseId }],
+    ["/api/drafts/get", { draftId }]
+];
+// In this order, so that everything is still there when it is changed
+const writes = () => [
+    ["/api/cases/add-note", { caseId, note: "Hello" }],
+    ["/api/cases/research/add", { caseId, judgment: { title: "Mine v. Yours" } }],
+    ["/api/cases/research/update", { caseId, id: judgmentId, note: "Checked" }],
+    ["/api/drafts/create", { caseId, templateId: "affidavit", values: AFFIDAVIT }],
+    ["/api/drafts/save", { draftId, text: "Revised by counsel" }],
+    ["/api/cases/details/update", { caseId, details: { title: "Asha Verma v. Vikram Singh" } }],
+    ["/api/cases/notes/delete", { caseId, noteId }],
+    ["/api/cases/research/remove", { caseId, id: judgmentId }],
+    ["/api/drafts/delete", { draftId }]
+];
+const statuses = async (user, calls) => {
+    const found = [];
+    for (const [path, body] of calls) found.push([path, (await user(path, body)).status]);
+    return found;
+};
+const all = (calls, status) => calls.map(([path]) => [path, status]);
+
+test("a lawyer who has only been requested can read the case's work but not change it", async () => {
+    assert.deepEqual(await statuses(lawyer, reads()), all(reads(), 200));
+    assert.equal((await lawyer(`/api/cases/${caseId}/research/export`, null, { method: "GET" })).status, 200);
+    assert.deepEqual(await statuses(lawyer, writes()), all(writes(), 403));
+});
+
+test("someone with nothing to do with the case can do neither", async () => {
+    assert.deepEqual(await statuses(stranger, [...reads(), ...writes()]), all([...reads(), ...writes()], 403));
+});
+
+test("once counsel, the lawyer can change all of it", async () => {
+    assert.equal((await lawyer("/api/cases/respond-request", { caseId, accept: true })).status, 200);
+    assert.deepEqual(await statuses(lawyer, writes()), all(writes(), 200));
+});
@@ -0,0 +1,94 @@
+// test/audit.test.js
+// The audit trail: which requests leave an entry, paging through the log and the CSV export.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const { createStorage, createLocalDriver } = require("../lib/storage");
+
+let ctx, admin, client, caseId;
+before(async () => {
+    ctx = await startApp();
+    admin = await ctx.user("Admin", "Admin");
+    client = await ctx.user("Audit Client", "Litigant");
+    ({ body: { caseId } } = await client("/api/save-case", { data: { summary: "Recovery of a loan", facts: "1. A loan was not repaid." } }));
+});
+after(() => ctx.close());
+
+// Every matching entry, following `next` from page to page
+async function trail(filters) {
+    const events = [];
+    let next;
+    do {
+        const { body } = await admin("/api/admin/audit", { ...filters, before: next });
+        events.push(...body.events);
+        next = body.next;
+    } while (next);
+    return events;
+}
+
+test("analysis, uploads, the assistant and the calendar are audited against the cases they touch", async () => {
+    const analysed = await client("/api/analyze", { text: "A loan of Rs. 50,000 was not repaid.", caseId });
+    assert.equal(analysed.status, 200);
+    assert.equal((await client("/api/chat", { msg: "What should I file?", caseId })).status, 200);
+    const uploaded = await client("/api/upload", ctx.fileForm("loan.txt", "A loan of Rs. 50,000 was not repaid."));
+    assert.equal(uploaded.status, 200);
+    assert.equal((await admin("/api/cases/hearings/add", { caseId, hearing: { date: "2026-11-02" } })).status, 200);
+    assert.equal((await client("/api/calendar", { from: "2026-11-01", to: "2026-11-30" })).status, 200);
+
+    const events = await trail({ caseId });
+    const byAction = (action) => events.find(e => e.action === action);
+    assert.equal(byAction("analyze").details.analysisId, analysed.body.analysis.id);
+    assert.equal(byAction("chat").actor.id, client.user.id);
+    assert.equal(byAction("calendar").actor.id, client.user.id);
+
+    const [upload] = await trail({ action: "upload" });
+    assert.equal(upload.details.documentId, uploaded.body.documentId);
+    assert.equal(upload.outcome, "success");
+});
+
+test("pages of the log neither skip nor repeat entries", async () => {
+    // More than one read from the store (200 entries) as well as more than one page (50)
+    for (let i = 0; i < 210; i++) await client("/api/get-cases", {});
+    const first = await admin("/api/admin/audit", { user: client.user.id, action: "get-cases" });
+    assert.equal(first.body.events.length, 50);
+    assert.ok(first.body.next);
+    const seen = (await trail({ user: client.user.id, action: "get-cases" })).map(e => e.id);
+    assert.equal(seen.length, 210);
+    assert.equal(new Set(seen).size, 210);
+});
+
+test("entries written in the same millisecond are paged by id", async () => {
+    const store = createStorage(createLocalDriver());
+    const createdAt = "2026-10-01T10:00:00.000Z";
+    for (let i = 0; i < 5; i++) await store.addAuditEvent({ action: "cases", createdAt });
+    await store.addAuditEvent({ action: "cases", createdAt: "2026-10-01T09:00:00.000Z" });
+
+    const ids = [];
+    let after;
+    for (let page; (page = await store.listAuditEvents({ limit: 2, after })).length;) {
+        ids.push(...page.map(e => e.id));
+        after = [page[page.length - 1].createdAt, page[page.length - 1].id];
+    }
+    assert.equal(ids.length, 6);
+    assert.equal(new Set(ids).size, 6);
+    const oldest = await store.listAuditEvents({ limit: 1, oldestFirst: true });
+    assert.equal(oldest[0].createdAt, "2026-10-01T09:00:00.000Z");
+});
+
+test("the CSV export lists every matching entry, oldest first", async () => {
+    // Searching the log for a case is itself audited against the case, so leave those entries out
+    const shown = (await trail({ caseId })).filter(e => e.action !== "admin.audit");
+    const res = await admin(`/api/admin/audit/export?caseId=${encodeURIComponent(caseId)}`, null, { method: "GET" });
+    assert.equal(res.status, 200);
+    const lines = res.body.trim().split("\r\n");
+    assert.match(lines[0], /^"Time","Action","Outcome"/);
+    const actions = lines.slice(1).map(l => l.split(",")[1]);
+    assert.equal(actions[0], '"save-case"');
+    assert.equal(actions.filter(a => a !== '"admin.audit"').length, shown.length);
+    const times = lines.slice(1).map(l => l.split(",")[0]);
+    assert.deepEqual(times, [...times].sort());
+
+    assert.equal((await client(`/api/admin/audit/export`, null, { method: "GET" })).status, 403);
+    assert.equal((await admin(`/api/admin/audit/export?from=yesterday`, null, { method: "GET" })).status, 400);
+});
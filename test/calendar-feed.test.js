@@ -0,0 +1,28 @@
+// test/calendar-feed.test.js
+// The private calendar feed: its token is the only secret in the URL, so it never leaves the
+// user it belongs to.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let ctx;
+before(async () => { ctx = await startApp(); });
+after(() => ctx.close());
+
+test("admins cannot read another user's calendar feed token", async () => {
+    const lawyer = await ctx.user("Feed Counsel", "Lawyer");
+    const admin = await ctx.user("Admin", "Admin");
+    const { body: feed } = await lawyer("/api/calendar/feed", {});
+    const token = feed.url.split("/").pop().replace(/\.ics$/, "");
+    assert.equal((await lawyer(`/calendar/${token}.ics`, null, { method: "GET" })).status, 200);
+
+    const { body: list } = await admin("/api/admin/users", {});
+    const listed = list.users.find(u => u.id === lawyer.user.id);
+    assert.ok(listed);
+    assert.equal("calendarToken" in listed, false);
+    assert.equal(JSON.stringify(list).includes(token), false);
+
+    const { body: detail } = await admin("/api/admin/users/detail", { uid: lawyer.user.id });
+    assert.equal(JSON.stringify(detail).includes(token), false);
+});
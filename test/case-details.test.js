@@ -0,0 +1,55 @@
+// test/case-details.test.js
+// A case's particulars: saved with the case, checked and normalised, and edited by its client and counsel.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let ctx, client, lawyer, other, caseId;
+before(async () => {
+    ctx = await startApp();
+    client = await ctx.user("Details Client", "Litigant");
+    lawyer = await ctx.user("Details Counsel", "Lawyer");
+    other = await ctx.user("Details Other", "Litigant");
+    ({ body: { caseId } } = await client("/api/save-case", { data: {
+        summary: "Recovery of a loan", facts: "1. A loan was not repaid.",
+        details: { title: "Asha Rani v. Vikram Singh", court: "Civil Judge (Junior Division), Patiala", cnr: "pbpt-0100-1234-2024", petitioners: "Asha Rani", clientSide: "petitioner" }
+    } }));
+});
+after(() => ctx.close());
+
+const detailsOf = async (user) => (await user("/api/get-cases", {})).body.cases.find(c => c.caseId === caseId).details;
+
+test("details saved with a case are normalised and filled out", async () => {
+    assert.deepEqual(await detailsOf(client), {
+        title: "Asha Rani v. Vikram Singh", court: "Civil Judge (Junior Division), Patiala", bench: "", cnr: "PBPT010012342024",
+        filingNumber: "", caseType: "", acts: [], petitioners: ["Asha Rani"], respondents: [], opposingCounsel: [], clientSide: "Petitioner"
+    });
+    const bad = await client("/api/save-case", { data: { summary: "x", facts: "y", details: { cnr: "12345" } } });
+    assert.equal(bad.status, 400);
+    assert.match(bad.body.message, /\$\.cnr: must be a 16-character CNR number/);
+});
+
+test("edits replace the details and are checked the same way", async () => {
+    const details = { title: "Asha Rani v. Vikram Singh & Anr.", cnr: "PBPT010012342024", respondents: ["Vikram Singh", "Meena Singh"], opposingCounsel: ["R. K. Gupta"], clientSide: "Petitioner" };
+    const { status, body } = await client("/api/cases/details/update", { caseId, details });
+    assert.equal(status, 200);
+    assert.deepEqual(body.details.respondents, ["Vikram Singh", "Meena Singh"]);
+    // The whole set is replaced: what the form leaves out is cleared
+    assert.equal((await detailsOf(client)).court, "");
+
+    assert.equal((await client("/api/cases/details/update", { caseId, details: { clientSide: "Witness" } })).status, 400);
+    assert.equal((await client("/api/cases/details/update", { caseId, details: { acts: Array(25).fill("IPC s. 420") } })).body.details.acts.length, 20);
+});
+
+test("counsel can edit the details once they take the case; a requested lawyer and others cannot", async () => {
+    await client("/api/cases/request-lawyer", { caseId, lawyerId: lawyer.user.id });
+    const edit = (user) => user("/api/cases/details/update", { caseId, details: { title: "Asha Rani v. Vikram Singh", filingNumber: "CS/123/2026" } });
+    assert.equal((await edit(lawyer)).status, 403);
+    assert.equal((await edit(other)).status, 403);
+
+    await lawyer("/api/cases/respond-request", { caseId, accept: true });
+    assert.equal((await edit(lawyer)).status, 200);
+    assert.equal((await detailsOf(client)).filingNumber, "CS/123/2026");
+    assert.equal((await client("/api/cases/details/update", { caseId: "CASE-missing", details: {} })).status, 404);
+});
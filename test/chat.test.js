@@ -0,0 +1,71 @@
+// test/chat.test.js
+// Legal Assistant threads on the stub AI provider: history, pinning to a case and ownership.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let ctx, client, other, caseId;
+before(async () => {
+    ctx = await startApp();
+    client = await ctx.user("Chat Client", "Litigant");
+    other = await ctx.user("Chat Other", "Litigant");
+    ({ body: { caseId } } = await client("/api/save-case", { data: { summary: "Recovery of a loan", facts: "1. A loan was not repaid." } }));
+});
+after(() => ctx.close());
+
+test("a thread keeps its messages and sends them back with each new one", async () => {
+    const first = await client("/api/chat", { msg: "Can I recover a loan given in cash?" });
+    assert.equal(first.status, 200);
+    const { threadId } = first.body;
+    assert.match(first.body.reply, /^Stub answer \([0-9a-f]{8}, turn 1\): Can I recover a loan given in cash\?$/);
+
+    const second = await client("/api/chat", { msg: "What if there is no receipt?", threadId });
+    assert.equal(second.body.threadId, threadId);
+    assert.match(second.body.reply, /turn 2\): What if there is no receipt\?$/);
+
+    const { body: { thread } } = await client("/api/chat/thread", { threadId });
+    assert.equal(thread.title, "Can I recover a loan given in cash?");
+    assert.deepEqual(thread.messages.map(m => [m.role, m.text]), [
+        ["user", "Can I recover a loan given in cash?"], ["assistant", first.body.reply],
+        ["user", "What if there is no receipt?"], ["assistant", second.body.reply]
+    ]);
+    assert.equal(thread.messageCount, 4);
+});
+
+test("a thread pinned to a case answers the message, with the case sent alongside it", async () => {
+    const { body } = await client("/api/chat", { msg: "Which court do I file in?", caseId });
+    // The case material is a separate part of the message; the stub answers from the user's text only
+    assert.match(body.reply, /\): Which court do I file in\?$/);
+    const { body: { threads } } = await client("/api/chat/threads", {});
+    assert.equal(threads.find(t => t.id === body.threadId).caseId, caseId);
+
+    // Someone else's case can be neither chatted about nor pinned
+    assert.equal((await other("/api/chat", { msg: "Tell me about it", caseId })).status, 403);
+    const { body: own } = await other("/api/chat", { msg: "Hello" });
+    assert.equal((await other("/api/chat/pin", { threadId: own.threadId, caseId })).status, 403);
+    assert.equal((await client("/api/chat/pin", { threadId: body.threadId, caseId: null })).status, 200);
+});
+
+test("threads are private to the user who started them, and can be deleted", async () => {
+    const { body: { threadId } } = await client("/api/chat", { msg: "Is a promissory note needed?" });
+    const mine = async (user) => (await user("/api/chat/threads", {})).body.threads.map(t => t.id);
+    assert.ok((await mine(client)).includes(threadId));
+    assert.ok(!(await mine(other)).includes(threadId));
+
+    assert.equal((await other("/api/chat/thread", { threadId })).status, 404);
+    assert.equal((await other("/api/chat", { msg: "Continue", threadId })).status, 404);
+    assert.equal((await other("/api/chat/delete", { threadId })).status, 404);
+
+    assert.equal((await client("/api/chat/delete", { threadId })).status, 200);
+    assert.ok(!(await mine(client)).includes(threadId));
+    assert.equal((await client("/api/chat/thread", { threadId })).status, 404);
+});
+
+test("an empty message is refused and starts no thread", async () => {
+    const count = (await other("/api/chat/threads", {})).body.threads.length;
+    const { status, body } = await other("/api/chat", { msg: "   " });
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal((await other("/api/chat/threads", {})).body.threads.length, count);
+});
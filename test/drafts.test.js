@@ -0,0 +1,70 @@
+// test/drafts.test.js
+// Drafts from templates: pre-filling, checking and rendering the values, versions, and who may delete
+// a draft. Who may write drafts at all is in access.test.js.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+const AFFIDAVIT = {
+    deponentName: "Asha Verma", relation: "D/o Shri R. Verma", age: "41", address: "12 Mall Road, Patiala",
+    statements: "2. That the loan was not repaid.", place: "Patiala", date: "2026-10-01"
+};
+
+let ctx, client, lawyer, caseId;
+before(async () => {
+    ctx = await startApp();
+    ({ client, lawyer, caseId } = await ctx.caseWithCounsel("Draft", { accepted: true }));
+});
+after(() => ctx.close());
+
+test("a template's form is pre-filled from the caller, the case and its counsel", async () => {
+    const { body: { templates } } = await client("/api/drafts/templates", {});
+    const affidavit = templates.find(t => t.id === "affidavit");
+    assert.equal(affidavit.body, undefined);
+    assert.ok(affidavit.fields.length);
+
+    const { body: { values } } = await client("/api/drafts/prefill", { templateId: "affidavit", caseId });
+    assert.equal(values.deponentName, "Draft Client");
+    assert.equal(values.statements, "1. A loan was not repaid.");
+    assert.match(values.date, /^\d{4}-\d{2}-\d{2}$/);
+    assert.equal((await client("/api/drafts/prefill", { templateId: "legal-notice", caseId })).body.values.advocateName, "Draft Counsel");
+    assert.equal((await client("/api/drafts/prefill", { templateId: "will" })).status, 404);
+});
+
+test("values are checked, and blank optional fields drop out of the text", async () => {
+    const bad = await client("/api/drafts/create", { caseId, templateId: "affidavit", values: { ...AFFIDAVIT, age: "forty", place: " " } });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.errors, ["Age must be a number", "Place is required"]);
+
+    const { body: { draft } } = await client("/api/drafts/create", { caseId, templateId: "affidavit", values: { ...AFFIDAVIT, extra: "ignored" } });
+    assert.equal(draft.title, "Affidavit");
+    assert.deepEqual(Object.keys(draft.fields).sort(), ["address", "age", "date", "deponentName", "matter", "place", "relation", "statements"]);
+    const [{ text, note, author }] = draft.versions;
+    assert.match(text, /^AFFIDAVIT\n\nI, Asha Verma, D\/o Shri R\. Verma, aged about 41 years/);
+    assert.match(text, /Verified at Patiala on 1 October 2026/);
+    assert.equal(note, "Generated from the template");
+    assert.equal(author.id, client.user.id);
+});
+
+test("every save is a new version, and saving the same text again is not", async () => {
+    const { body: { draft: { id: draftId } } } = await client("/api/drafts/create", { caseId, templateId: "affidavit", values: AFFIDAVIT });
+    const { body: saved } = await lawyer("/api/drafts/save", { draftId, text: "Revised by counsel", note: "Tightened" });
+    assert.deepEqual(saved.draft.versions.map(v => [v.author.id, v.note]), [[client.user.id, "Generated from the template"], [lawyer.user.id, "Tightened"]]);
+    assert.equal((await lawyer("/api/drafts/save", { draftId, text: "Revised by counsel" })).body.unchanged, true);
+    assert.equal((await lawyer("/api/drafts/save", { draftId, text: "  " })).status, 400);
+
+    const { body: { drafts } } = await client("/api/drafts/list", { caseId });
+    assert.equal(drafts.find(d => d.id === draftId).versionCount, 2);
+    // An older version can be exported as it was
+    assert.equal((await client(`/api/drafts/${draftId}/export?version=1`, null, { method: "GET" })).status, 200);
+    assert.equal((await client(`/api/drafts/${draftId}/export?version=3`, null, { method: "GET" })).status, 404);
+});
+
+test("the client can delete only their own drafts; counsel can delete any", async () => {
+    const { body: { draft: counsels } } = await lawyer("/api/drafts/create", { caseId, templateId: "affidavit", values: AFFIDAVIT });
+    const { body: { draft: clients } } = await client("/api/drafts/create", { caseId, templateId: "affidavit", values: AFFIDAVIT });
+    assert.equal((await client("/api/drafts/delete", { draftId: counsels.id })).status, 403);
+    assert.equal((await lawyer("/api/drafts/delete", { draftId: clients.id })).status, 200);
+    assert.equal((await client("/api/drafts/get", { draftId: clients.id })).status, 404);
+});
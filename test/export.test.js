@@ -0,0 +1,109 @@
+// test/export.test.js
+// PDF and DOCX export (lib/export and the export routes), read back with the same extractor
+// uploads go through.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const { renderExport, ExportError } = require("../lib/export");
+const { extractContent } = require("../lib/extract");
+
+const brief = (sections) => ({ title: "Recovery of rent", caseId: "CASE-1", generatedAt: "2026-10-01T00:00:00.000Z", sections });
+const fonts = (buffer) => [...new Set(buffer.toString("latin1").match(/\/BaseFont \/[A-Z]{6}\+[\w-]+/g).map(f => f.split("+")[1]))].sort();
+
+test("PDF text in an Indian language is set in a Noto font for its script", async () => {
+    const { buffer } = await renderExport(brief([{ heading: "सारांश", blocks: [
+        { type: "paragraph", text: "मकान मालिक ने ₹20,000 की रसीद नहीं दी। See Ram v. Shyam (2019) 3 SCC 1." },
+        { type: "list", items: ["வாடகை செலுத்தப்பட்டது"] },
+        { type: "fields", rows: [["Court", "ਜ਼ਿਲ੍ਹਾ ਅਦਾਲਤ"]] },
+        { type: "table", columns: ["Note"], rows: [["مکان مالک نے رسید نہیں دی"]] }
+    ] }]), "pdf");
+
+    assert.deepEqual(fonts(buffer), [
+        "NotoNaskhArabic-Regular", "NotoSans-Bold", "NotoSans-Regular", "NotoSansDevanagari-Bold",
+        "NotoSansDevanagari-Regular", "NotoSansGurmukhi-Regular", "NotoSansTamil-Regular"
+    ]);
+    const { text } = await extractContent(buffer, "application/pdf", "brief.pdf");
+    assert.match(text, /₹20,000/);
+    assert.match(text, /See Ram v\. Shyam \(2019\) 3 SCC 1\./);
+    assert.match(text, /नहीं/);
+});
+
+test("an English PDF uses Noto Sans only", async () => {
+    const { buffer } = await renderExport(brief([{ heading: "Summary", blocks: [{ type: "paragraph", text: "Rent of ₹20,000 was paid." }] }]), "pdf");
+    assert.deepEqual(fonts(buffer), ["NotoSans-Bold", "NotoSans-Regular"]);
+    assert.match((await extractContent(buffer, "application/pdf", "brief.pdf")).text, /Rent of ₹20,000 was paid\./);
+});
+
+test("every block type is rendered, and empty blocks and sections are left out", async () => {
+    const doc = brief([
+        { heading: "Case Details", blocks: [{ type: "fields", rows: [["Court", "District Court, Patiala"], ["Counsel", null]] }] },
+        { heading: "Next Steps", blocks: [{ type: "list", items: ["Send a legal notice", "File a summary suit"] }] },
+        { heading: "Judgments", blocks: [{ type: "table", columns: ["Case", "Citation"], rows: [["Ram v. Shyam", "(2019) 3 SCC 1"]] }] },
+        { heading: "Facts", blocks: [{ type: "paragraph", text: "1. Rent was paid.\n2. No receipt was given." }] },
+        { heading: "Nothing Here", blocks: [{ type: "paragraph", text: " " }, { type: "list", items: [] }] }
+    ]);
+    for (const format of ["pdf", "docx"]) {
+        const { buffer, mimeType, extension } = await renderExport(doc, format);
+        assert.equal(extension, format);
+        const { text } = await extractContent(buffer, mimeType, `brief.${format}`);
+        for (const expected of [/Recovery of rent/, /Court: District Court, Patiala/, /Counsel: -/, /Send a legal notice/, /\(2019\) 3 SCC 1/, /2\. No receipt was given\./]) {
+            assert.match(text, expected, `${format}: ${expected}`);
+        }
+        assert.doesNotMatch(text, /Nothing Here/);
+    }
+    // The header and footer are part of the page in a PDF (and in a separate part of a DOCX)
+    const { text } = await extractContent((await renderExport(doc, "pdf")).buffer, "application/pdf", "brief.pdf");
+    assert.match(text, /CourtEase/);
+    assert.match(text, /Case ID: CASE-1\s+Generated: Thu, 01 Oct 2026 00:00:00 GMT/);
+    assert.match(text, /Page 1 of 1/);
+
+    await assert.rejects(renderExport(doc, "txt"), (e) => e instanceof ExportError && e.status === 400);
+});
+
+let ctx, client, other, caseId;
+before(async () => {
+    ctx = await startApp();
+    client = await ctx.user("Export Client", "Litigant");
+    other = await ctx.user("Export Other", "Litigant");
+    ({ body: { caseId } } = await client("/api/save-case", { data: { summary: "Recovery of a loan", facts: "1. A loan was not repaid.", solutions: ["Send a legal notice"] } }));
+    await client("/api/cases/add-note", { caseId, note: "Original receipt is with the client" });
+});
+after(() => ctx.close());
+
+// A download as { status, type, fileName, text }, the text read back from the file
+async function download(user, path) {
+    const res = await fetch(ctx.url(path), { headers: { Authorization: `Bearer ${user.token}` } });
+    const type = res.headers.get("content-type");
+    const buffer = Buffer.from(await res.arrayBuffer());
+    const fileName = (res.headers.get("content-disposition") || "").match(/filename="(.*)"/)?.[1];
+    const text = res.status === 200 ? (await extractContent(buffer, type, fileName)).text : buffer.toString();
+    return { status: res.status, type, fileName, text };
+}
+
+test("a case brief comes as a PDF by default, or as a DOCX, with the case's record in it", async () => {
+    const pdf = await download(client, `/api/cases/${caseId}/export`);
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.type, "application/pdf");
+    assert.equal(pdf.fileName, `${caseId}-brief.pdf`);
+    const docx = await download(client, `/api/cases/${caseId}/export?format=docx`);
+    assert.equal(docx.fileName, `${caseId}-brief.docx`);
+    for (const { text } of [pdf, docx]) {
+        for (const expected of [/Case Brief/, /Status: Submitted/, /Recovery of a loan/, /Send a legal notice/, /Original receipt is with the client/]) {
+            assert.match(text, expected);
+        }
+    }
+    assert.equal((await download(client, `/api/cases/${caseId}/export?format=txt`)).status, 400);
+    assert.equal((await download(other, `/api/cases/${caseId}/export`)).status, 403);
+});
+
+test("a saved analysis can be exported on its own", async () => {
+    const { body: { analysis } } = await client("/api/analyze", { text: "A loan of Rs. 50,000 was not repaid.", caseId });
+    const { status, fileName, text } = await download(client, `/api/cases/${caseId}/analyses/${analysis.id}/export?format=docx`);
+    assert.equal(status, 200);
+    assert.equal(fileName, `${caseId}-analysis-${analysis.createdAt.slice(0, 10)}.docx`);
+    assert.match(text, /Strategy Analysis/);
+    assert.match(text, /A loan of Rs\. 50,000 was not repaid\./);
+    assert.match(text, /Documented timeline of events/);
+    assert.equal((await download(client, `/api/cases/${caseId}/analyses/missing/export`)).status, 404);
+});
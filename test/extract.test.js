@@ -0,0 +1,70 @@
+// test/extract.test.js
+// File type detection and local text extraction (lib/extract) on files built in the test.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const PDFDocument = require("pdfkit");
+const { Document, Packer, Paragraph } = require("docx");
+const { extractContent, detectFileType, UnsupportedFileError } = require("../lib/extract");
+
+const NOTICE = "LEGAL NOTICE. My client lent Rs. 2,00,000 to you on 5 January 2026 and no amount has been repaid.";
+
+// A PDF with `pages` pages, each holding `text` (or nothing, like a scan without a text layer)
+function pdf(pages, text) {
+    const doc = new PDFDocument({ autoFirstPage: false });
+    const chunks = [];
+    doc.on("data", c => chunks.push(c));
+    for (let i = 0; i < pages; i++) {
+        doc.addPage();
+        if (text) doc.text(text);
+        else doc.rect(50, 50, 200, 200).fill("#888");
+    }
+    doc.end();
+    return new Promise(resolve => doc.on("end", () => resolve(Buffer.concat(chunks))));
+}
+
+test("the file type comes from its bytes, with the declared type only as a hint", () => {
+    const type = (bytes, mime, name) => detectFileType(Buffer.from(bytes), mime, name).mimeType;
+    assert.equal(type("%PDF-1.7", "image/png", "notice.png"), "application/pdf");
+    assert.equal(type([0xFF, 0xD8, 0xFF, 0xE0], "", "fir"), "image/jpeg");
+    assert.equal(type([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], "", ""), "image/png");
+    assert.equal(type("RIFF\0\0\0\0WEBP", "", ""), "image/webp");
+    assert.equal(type("PK\x03\x04", "", "petition.docx"), "application/vnd.openxmlformats-officedocument.wordprocessingml.document");
+    assert.equal(type("Notice", "text/plain; charset=utf-8", "notice"), "text/plain");
+    assert.equal(type("....", "image/heic", "photo.heic"), "image/heic");
+
+    // Any zip is not a DOCX, and a type nobody handles is refused
+    assert.throws(() => detectFileType(Buffer.from("PK\x03\x04"), "application/zip", "archive.zip"), UnsupportedFileError);
+    assert.throws(() => detectFileType(Buffer.from([0, 1, 2, 3]), "", "blob"), /Unsupported file type \(unknown\)/);
+});
+
+test("a PDF with a text layer is read locally, with its page count", async () => {
+    const result = await extractContent(await pdf(2, NOTICE), "application/pdf", "notice.pdf");
+    assert.equal(result.fileType, "pdf");
+    assert.equal(result.extractionMethod, "pdf-text");
+    assert.equal(result.pageCount, 2);
+    assert.match(result.text, /My client lent Rs\. 2,00,000/);
+    assert.equal(result.truncated, false);
+});
+
+test("a scanned PDF and a photo are left to the model", async () => {
+    const scanned = await extractContent(await pdf(3), "application/pdf", "order.pdf");
+    assert.equal(scanned.extractionMethod, "ai-vision");
+    assert.equal(scanned.pageCount, 3);
+    assert.equal(scanned.text, "");
+
+    const photo = await extractContent(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0]), "image/jpeg", "fir.jpg");
+    assert.deepEqual(photo, { fileType: "image", mimeType: "image/jpeg", pageCount: 1, extractionMethod: "ai-vision", text: "", truncated: false });
+});
+
+test("DOCX and plain text are read locally, and very long text is cut", async () => {
+    const docx = await Packer.toBuffer(new Document({ sections: [{ children: [new Paragraph("IN THE COURT OF THE CIVIL JUDGE"), new Paragraph(NOTICE)] }] }));
+    const fromDocx = await extractContent(docx, "", "petition.docx");
+    assert.equal(fromDocx.extractionMethod, "docx-text");
+    assert.match(fromDocx.text, /^IN THE COURT OF THE CIVIL JUDGE\s+LEGAL NOTICE/);
+
+    const long = await extractContent(Buffer.from("  " + "a".repeat(130000) + "  "), "text/plain", "long.txt");
+    assert.equal(long.extractionMethod, "plain-text");
+    assert.equal(long.text.length, 120000);
+    assert.equal(long.truncated, true);
+});
@@ -0,0 +1,96 @@
+// test/hearings.test.js
+// Hearings: reminder timing (lib/calendar), the reminder run behind /api/cron/hearing-reminders
+// with a capture transport for email, and the iCalendar feed.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const calendar = require("../lib/calendar");
+const { createCaptureTransport } = require("../lib/notifications");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const addDays = (date, days) => new Date(Date.parse(date + "T00:00:00Z") + days * DAY_MS).toISOString().slice(0, 10);
+
+test("reminders fall due at 07:00 IST the given number of days before", () => {
+    const hearing = { status: "Scheduled", date: "2026-11-10", remindersSent: [] };
+    const at = (iso) => calendar.dueReminder(hearing, [7, 1, 0], new Date(iso));
+    // 07:00 IST is 01:30 UTC
+    assert.equal(at("2026-11-03T01:29:00Z"), null);
+    assert.deepEqual(at("2026-11-03T01:30:00Z"), { days: 7, mark: [7] });
+    assert.deepEqual(at("2026-11-10T01:30:00Z"), { days: 0, mark: [7, 1, 0] });
+    assert.deepEqual(calendar.dueReminder({ ...hearing, remindersSent: [7] }, [7, 1, 0], new Date("2026-11-09T02:00:00Z")), { days: 1, mark: [1] });
+
+    assert.equal(calendar.dueReminder({ ...hearing, status: "Adjourned" }, [7], new Date("2026-11-05T00:00:00Z")), null);
+    assert.equal(calendar.dueReminder(hearing, [7], new Date("2026-11-11T00:00:00Z")), null);
+    assert.equal(calendar.daysUntil("2026-11-10", new Date("2026-11-08T20:00:00Z")), 1);
+});
+
+test("reminder offsets come from a comma-separated setting", () => {
+    assert.deepEqual(calendar.parseOffsets("1, 7,0,7"), [7, 1, 0]);
+    assert.deepEqual(calendar.parseOffsets("soon"), [7, 1, 0]);
+    assert.deepEqual(calendar.parseOffsets(undefined, [3]), [3]);
+});
+
+test("iCalendar events are escaped, folded and timed in IST", () => {
+    const ics = calendar.toICS({ name: "Hearings", events: [
+        { uid: "h1@courtease", date: "2026-11-10", time: "10:30", summary: "Hearing: CASE-1 - Arguments; evidence, too", updatedAt: "2026-10-01T00:00:00Z" },
+        { uid: "h2@courtease", date: "2026-11-11", summary: "x".repeat(100), cancelled: true, updatedAt: "2026-10-01T00:00:00Z" }
+    ] });
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /\r\nDTSTART:20261110T050000Z\r\nDTEND:20261110T060000Z\r\n/);
+    assert.match(ics, /\r\nSUMMARY:Hearing: CASE-1 - Arguments\\; evidence\\, too\r\n/);
+    assert.match(ics, /\r\nDTSTART;VALUE=DATE:20261111\r\nDTEND;VALUE=DATE:20261112\r\n/);
+    assert.match(ics, /\r\nSUMMARY:x{67}\r\n x{33}\r\nSTATUS:CANCELLED\r\n/);
+});
+
+let ctx, client, lawyer, caseId, email;
+before(async () => {
+    ctx = await startApp({ CRON_SECRET: "cron-secret" });
+    email = createCaptureTransport("test-email");
+    ctx.app.locals.notifier.setTransport("email", email);
+    client = await ctx.user("Hearing Client", "Litigant");
+    lawyer = await ctx.user("Hearing Counsel", "Lawyer");
+    ({ body: { caseId } } = await client("/api/save-case", { data: { summary: "Recovery of a loan", facts: "1. A loan was not repaid." } }));
+    await client("/api/cases/request-lawyer", { caseId, lawyerId: lawyer.user.id });
+    await lawyer("/api/cases/respond-request", { caseId, accept: true });
+});
+after(() => ctx.close());
+
+const cron = async () => {
+    const res = await fetch(ctx.url("/api/cron/hearing-reminders"), { headers: { Authorization: "Bearer cron-secret" } });
+    return { status: res.status, body: await res.json() };
+};
+const reminders = () => email.sent.filter(m => m.subject.startsWith("Hearing Reminder"));
+
+test("a hearing scheduled late is reminded once, worded by the days left, and again once moved", async () => {
+    const date = addDays(calendar.istToday(), 2);
+    const { body: { hearing } } = await lawyer("/api/cases/hearings/add", { caseId, hearing: { date, court: "District Court, Patiala", purpose: "Arguments" } });
+
+    // The 7-day reminder is overdue; it goes to the client and counsel, saying when the hearing really is
+    assert.deepEqual((await cron()).body, { success: true, hearings: 1, notified: 2 });
+    assert.deepEqual(reminders().map(m => m.to).sort(), [client.user.email, lawyer.user.email].sort());
+    assert.equal(reminders()[0].subject, `Hearing Reminder: ${caseId} in 2 days`);
+    assert.deepEqual((await cron()).body, { success: true, hearings: 0, notified: 0 });
+
+    // A new date starts the reminders over
+    await lawyer("/api/cases/hearings/update", { caseId, hearingId: hearing.id, hearing: { date: addDays(date, 1), court: "District Court, Patiala", purpose: "Arguments" } });
+    assert.deepEqual((await cron()).body, { success: true, hearings: 1, notified: 2 });
+    assert.equal(reminders().length, 4);
+});
+
+test("the reminder run needs the cron secret", async () => {
+    assert.equal((await fetch(ctx.url("/api/cron/hearing-reminders"))).status, 401);
+    const wrong = await fetch(ctx.url("/api/cron/hearing-reminders"), { headers: { Authorization: "Bearer cron-secreT" } });
+    assert.equal(wrong.status, 401);
+});
+
+test("the case's hearings are in the feed of its client and counsel", async () => {
+    const { body: feed } = await client("/api/calendar/feed", {});
+    const res = await fetch(feed.url.replace(/^https?:\/\/[^/]+/, ctx.url("")));
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/calendar/);
+    const ics = await res.text();
+    assert.match(ics, new RegExp(`SUMMARY:Hearing: ${caseId} - Arguments`));
+    assert.match(ics, /LOCATION:District Court\\, Patiala/);
+    assert.match(ics, /X-WR-CALNAME:CourtEase hearings \(Hearing Client\)/);
+});
@@ -0,0 +1,107 @@
+// test/helpers.js
+// Runs the app in-process for a test file: local storage and files in a throwaway directory, the
+// stub AI provider and captured (never sent) email and SMS. node --test runs every test file in
+// its own process, so each file gets a fresh app. Call startApp once, before anything else.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const testKey = () => crypto.randomBytes(32).toString("base64");
+
+async function startApp(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "courtease-test-"));
+    Object.assign(process.env, {
+        // Production mode skips .env, the port 3000 listener and the in-process scheduler
+        NODE_ENV: "production",
+        STORAGE_DRIVER: "local",
+        LOCAL_DB_PATH: path.join(dir, "db.json"),
+        FILE_STORAGE: "local",
+        UPLOAD_DIR: path.join(dir, "uploads"),
+        AI_PROVIDER: "stub",
+        EMAIL_TRANSPORT: "capture",
+        SMS_PROVIDER: "capture",
+        SESSION_SECRET: "test-secret",
+        BOOTSTRAP_ADMIN_EMAIL: "admin@test.local",
+        BOOTSTRAP_ADMIN_PASSWORD: "password123",
+        ...env
+    });
+    const app = require("../app");
+    await app.locals.adminReady;
+    const server = await new Promise(resolve => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // A registered, logged-in user (for "Admin", the bootstrap admin). call(path, body) POSTs JSON
+    // (or FormData) and resolves to { status, body }; GET with call(path, null, { method: "GET" }).
+    async function user(name, role) {
+        let token = null;
+        async function call(url, body, { method = "POST" } = {}) {
+            const form = body instanceof FormData;
+            const res = await fetch(base + url, {
+                method,
+                headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(form || method === "GET" ? {} : { "Content-Type": "application/json" }) },
+                body: method === "GET" ? undefined : (form ? body : JSON.stringify(body || {}))
+            });
+            const text = await res.text();
+            let parsed;
+            try { parsed = JSON.parse(text); } catch (e) { parsed = text; }
+            return { status: res.status, body: parsed };
+        }
+        const email = role === "Admin" ? "admin@test.local" : `${name.toLowerCase().replace(/\W+/g, ".")}@test.local`;
+        if (role !== "Admin") await call("/api/register", { name, email, password: "password123", role });
+        const { body } = await call("/api/login", { email, password: "password123" });
+        token = body.token;
+        call.user = body.user;
+        // For requests made with fetch itself, such as downloads or streams read part way
+        call.token = token;
+        return call;
+    }
+
+    // A client's case with a lawyer requested on it, as { client, lawyer, caseId }; with
+    // { accepted: true } the lawyer has taken the case. Names start with `label`, e.g. "Notes Client".
+    async function caseWithCounsel(label, { accepted = false } = {}) {
+        const client = await user(`${label} Client`, "Litigant");
+        const lawyer = await user(`${label} Counsel`, "Lawyer");
+        const { body: { caseId } } = await client("/api/save-case", { data: { summary: "Recovery of a loan", facts: "1. A loan was not repaid." } });
+        await client("/api/cases/request-lawyer", { caseId, lawyerId: lawyer.user.id });
+        if (accepted) await lawyer("/api/cases/respond-request", { caseId, accept: true });
+        return { client, lawyer, caseId };
+    }
+
+    // An uploaded file as /api/upload and /api/cases/documents take it
+    function fileForm(name, text, fields = {}) {
+        const form = new FormData();
+        Object.entries(fields).forEach(([k, v]) => form.append(k, v));
+        form.append("document", new Blob([text], { type: "text/plain" }), name);
+        return form;
+    }
+
+    return {
+        app,
+        dir,
+        uploadDir: process.env.UPLOAD_DIR,
+        // For requests made without signing in
+        url: (path) => base + path,
+        user,
+        caseWithCounsel,
+        fileForm,
+        // The app's storage, for records no route writes (such as data from before a migration)
+        store: app.locals.store,
+        // What the local driver has written to disk
+        readDb: () => JSON.parse(fs.readFileSync(process.env.LOCAL_DB_PATH, "utf8")).collections,
+        async close() {
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Server-sent events as [{ event, data }]
+const parseEvents = (text) => text.split("\n\n").filter(Boolean).map(block => {
+    const [, event] = block.match(/^event: (.*)$/m);
+    const [, data] = block.match(/^data: (.*)$/m);
+    return { event, data: JSON.parse(data) };
+});
+
+module.exports = { startApp, testKey, parseEvents };
@@ -0,0 +1,150 @@
+// test/judgments.test.js
+// Judgment search and verification (lib/judgments) with the Indian Kanoon API answered by the
+// test through an axios adapter, and the LRU/TTL cache in front of it.
+
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { createJudgmentSearch, JudgmentSearchError, titleSimilarity } = require("../lib/judgments");
+const { createCache } = require("../lib/cache");
+
+const DOCS = {
+    found: "1 - 10 of 2,345",
+    docs: [
+        { tid: 101, title: "Ram Kumar <b>vs</b> Shyam Lal on 1 May, 1990", docsource: "Delhi High Court", publishdate: "1990-05-01", citation: "AIR 1990 Del 12", author: "A. Judge", headline: "The <b>loan</b> &amp; interest", numcitedby: 7 },
+        { tid: 102, title: "State Of Punjab vs Someone", docsource: "Punjab-Haryana High Court", headline: "" }
+    ]
+};
+
+// Answers each API call with respond(path); the paths called are kept
+const realAdapter = axios.defaults.adapter;
+function api(respond) {
+    const paths = [];
+    axios.defaults.adapter = async (config) => {
+        const path = config.url.replace("https://api.indiankanoon.org", "");
+        paths.push(decodeURIComponent(path));
+        const { status = 200, data } = await respond(path);
+        if (status >= 400) throw Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+        return { data, status, statusText: "OK", headers: {}, config };
+    };
+    return paths;
+}
+afterEach(() => { axios.defaults.adapter = realAdapter; });
+
+test("filters, paging and sorting go into the query, and results come back as text", async () => {
+    const paths = api(() => ({ data: DOCS }));
+    const search = createJudgmentSearch({ token: "test" });
+    const found = await search.search({
+        query: "recovery of loan", court: "delhi", docType: "tribunals", judge: "A. Judge doctypes: laws",
+        fromDate: "1990-01-01", toDate: "1990-12-31", sort: "newest", page: 3
+    });
+    assert.deepEqual(paths, ["/search/?formInput=recovery of loan doctypes: delhi fromdate: 1-1-1990 todate: 31-12-1990 author: A. Judge laws sortby: mostrecent&pagenum=2"]);
+    assert.equal(found.fallback, false);
+    assert.equal(found.total, 2345);
+    assert.equal(found.page, 3);
+    assert.deepEqual(found.results[0], {
+        id: "101", title: "Ram Kumar vs Shyam Lal on 1 May, 1990", court: "Delhi High Court", date: "1990-05-01",
+        citation: "AIR 1990 Del 12", judge: "A. Judge", snippet: "The loan & interest", citedBy: 7, link: "https://indiankanoon.org/doc/101/"
+    });
+    assert.equal(found.results[1].date, null);
+});
+
+test("bad options are refused before the API is called", async () => {
+    const paths = api(() => ({ data: DOCS }));
+    const search = createJudgmentSearch({ token: "test" });
+    for (const [options, message] of [
+        [{ query: " " }, /Enter a search term/],
+        [{ query: "x", court: "nowhere" }, /Unknown court/],
+        [{ query: "x", sort: "random" }, /Unknown sort order/],
+        [{ query: "x", page: 101 }, /Page must be between 1 and 100/],
+        [{ query: "x", fromDate: "01-01-1990" }, /fromDate must be a date/],
+        [{ query: "x", fromDate: "1991-01-01", toDate: "1990-01-01" }, /fromDate is after toDate/]
+    ]) {
+        await assert.rejects(search.search(options), (e) => e instanceof JudgmentSearchError && e.status === 400 && message.test(e.message));
+    }
+    assert.deepEqual(paths, []);
+});
+
+test("repeated searches and fetches are served from the cache", async () => {
+    const paths = api((path) => ({ data: path.startsWith("/doc/") ? { title: "Ram Kumar vs Shyam Lal", doc: "<p>The appeal is <b>allowed</b>.</p><p>No costs.</p>" } : DOCS }));
+    const search = createJudgmentSearch({ token: "test" });
+    assert.equal((await search.search({ query: "loan" })).cached, false);
+    assert.equal((await search.search({ query: "loan" })).cached, true);
+    assert.equal((await search.search({ query: "loan", page: 2 })).cached, false);
+
+    const doc = await search.fetchDocument("101");
+    assert.equal(doc.text, "The appeal is allowed.\nNo costs.");
+    assert.equal((await search.fetchDocument(101)).cached, true);
+    assert.equal(paths.length, 3);
+    assert.deepEqual(search.cacheStats(), { size: 3, max: 200, ttlMs: 3600000, hits: 2, misses: 3 });
+});
+
+test("without a token or when the API fails, search answers with flagged fallback data", async () => {
+    api(() => ({ status: 500 }));
+    const offline = await createJudgmentSearch().search({ query: "loan" });
+    assert.equal(offline.fallback, true);
+    assert.equal(offline.reason, "Live search is not configured on this server");
+    assert.equal(offline.results[0].id, null);
+
+    const failing = await createJudgmentSearch({ token: "test" }).search({ query: "loan" });
+    assert.equal(failing.fallback, true);
+    assert.equal(failing.reason, "Live search is unavailable right now");
+});
+
+test("a judgment's full text needs a valid id, a token and a document that exists", async () => {
+    api(() => ({ status: 404 }));
+    const search = createJudgmentSearch({ token: "test" });
+    await assert.rejects(search.fetchDocument("../etc"), { status: 400, message: "Invalid judgment id" });
+    await assert.rejects(createJudgmentSearch().fetchDocument("101"), { status: 503 });
+    await assert.rejects(search.fetchDocument("999"), { status: 404, message: "Judgment not found" });
+});
+
+test("cache entries expire and the least recently used one is dropped first", async () => {
+    const cache = createCache({ max: 2, ttlMs: 1000 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a");
+    cache.set("c", 3);
+    assert.equal(cache.get("b"), undefined);
+    assert.equal(cache.get("a"), 1);
+
+    cache.set("d", 4, -1);
+    assert.equal(cache.get("d"), undefined);
+});
+
+test("a suggested judgment is verified and linked when a search result's title covers it", async () => {
+    const paths = api(() => ({ data: DOCS }));
+    const search = createJudgmentSearch({ token: "test" });
+    const checked = await search.verify({ title: "Ram Kumar v. Shyam Lal", court: "High Court", relevance: "Loan recovery" });
+    assert.equal(paths[0], "/search/?formInput=Ram Kumar v. Shyam Lal&pagenum=0");
+    assert.equal(checked.verified, true);
+    assert.equal(checked.matchedBy, "search");
+    assert.equal(checked.suggestedTitle, "Ram Kumar v. Shyam Lal");
+    assert.equal(checked.title, "Ram Kumar vs Shyam Lal on 1 May, 1990");
+    assert.equal(checked.court, "Delhi High Court");
+    assert.equal(checked.citation, "AIR 1990 Del 12");
+    assert.equal(checked.link, "https://indiankanoon.org/doc/101/");
+    assert.equal(checked.relevance, "Loan recovery");
+    assert.equal(checked.verificationNote, null);
+    assert.deepEqual(checked.candidates.map(c => c.id), ["101", "102"]);
+});
+
+test("a suggestion with no close match, or no live search, stays unverified and says why", async () => {
+    api(() => ({ data: DOCS }));
+    const madeUp = await createJudgmentSearch({ token: "test" }).verify({ title: "Ram Kumar v. Union of India" });
+    assert.equal(madeUp.verified, false);
+    assert.equal(madeUp.verificationNote, "No matching judgment found");
+    assert.equal(madeUp.link, undefined);
+    assert.equal(madeUp.candidates.length, 2);
+
+    const offline = await createJudgmentSearch().verify({ title: "Ram Kumar v. Shyam Lal" });
+    assert.equal(offline.verified, false);
+    assert.equal(offline.verificationNote, "Live search is not configured on this server");
+    assert.equal((await createJudgmentSearch().verify({ title: " " })).verificationNote, "No title to check");
+});
+
+test("title similarity is the share of the suggestion's words found in the result", () => {
+    assert.equal(titleSimilarity("Ram Kumar v. Shyam Lal", "Ram Kumar And Ors vs Shyam Lal on 1 May, 1990"), 1);
+    assert.equal(titleSimilarity("Ram Kumar v. Union of India", "Ram Kumar vs Shyam Lal"), 0.5);
+    assert.equal(titleSimilarity("v. Ors", "Anything"), 0);
+});
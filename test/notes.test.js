@@ -0,0 +1,75 @@
+// test/notes.test.js
+// A case's notes: editing with history, deletion, who sees private ones, and paging. Who may write
+// notes at all is in access.test.js.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let ctx, client, lawyer, caseId;
+before(async () => {
+    ctx = await startApp();
+    ({ client, lawyer, caseId } = await ctx.caseWithCounsel("Notes", { accepted: true }));
+});
+after(() => ctx.close());
+
+const notesFor = async (user) => (await user("/api/cases/notes", { caseId })).body.notes;
+const noteTexts = async (user) => (await notesFor(user)).map(n => n.text);
+
+test("only the author edits a note, and the earlier text is kept for them alone", async () => {
+    const { body: { note } } = await client("/api/cases/add-note", { caseId, note: "  Documents are with my brother " });
+    assert.equal(note.text, "Documents are with my brother");
+    assert.deepEqual(note.author, { id: client.user.id, name: "Notes Client", role: "Litigant" });
+    assert.equal((await client("/api/cases/add-note", { caseId, note: " " })).status, 400);
+    assert.equal((await client("/api/cases/add-note", { caseId, note: "x", visibility: "secret" })).status, 400);
+
+    assert.equal((await lawyer("/api/cases/notes/update", { caseId, noteId: note.id, note: "Rewritten" })).status, 403);
+    const { body: { note: edited } } = await client("/api/cases/notes/update", { caseId, noteId: note.id, note: "Documents are with my uncle" });
+    assert.equal(edited.edited, true);
+    assert.deepEqual(edited.history.map(h => [h.action, h.previousText]), [["edited", "Documents are with my brother"]]);
+
+    const [seen] = await notesFor(lawyer);
+    assert.equal(seen.text, "Documents are with my uncle");
+    assert.equal(seen.canEdit, false);
+    assert.equal(seen.canDelete, true);
+    assert.equal(seen.history[0].previousText, undefined);
+});
+
+test("a deleted note stays in the list without its text, and cannot be changed again", async () => {
+    const { body: { note } } = await client("/api/cases/add-note", { caseId, note: "Call the bank manager" });
+    const { body: { note: deleted } } = await lawyer("/api/cases/notes/delete", { caseId, noteId: note.id });
+    assert.equal(deleted.text, null);
+    assert.equal(deleted.deletedBy.id, lawyer.user.id);
+
+    const [listed] = await notesFor(client);
+    assert.deepEqual([listed.id, listed.text, listed.canEdit], [note.id, null, false]);
+    assert.deepEqual(listed.history.map(h => [h.action, h.previousText]), [["deleted", "Call the bank manager"]]);
+    assert.equal((await client("/api/cases/notes/update", { caseId, noteId: note.id, note: "Again" })).status, 409);
+});
+
+test("counsel's private notes are hidden from the client", async () => {
+    const { body } = await lawyer("/api/cases/add-note", { caseId, note: "Limitation may be an issue", visibility: "private" });
+    assert.equal(body.success, true);
+    assert.equal(body.note.canEdit, true);
+
+    assert.equal((await noteTexts(lawyer))[0], "Limitation may be an issue");
+    assert.ok(!(await noteTexts(client)).includes("Limitation may be an issue"));
+    assert.equal((await client("/api/cases/notes/update", { caseId, noteId: body.note.id, note: "x" })).status, 404);
+    assert.equal((await client("/api/cases/add-note", { caseId, note: "Mine", visibility: "private" })).status, 403);
+});
+
+test("legacy notes that share a timestamp are all paged through", async () => {
+    const { body: { caseId: oldCase } } = await client("/api/save-case", { data: { summary: "Eviction", facts: "1. Rent was not paid." } });
+    const time = "2024-03-01T10:00:00.000Z";
+    await ctx.store.updateCase(oldCase, { notes: Array.from({ length: 25 }, (_, i) => ({ text: `Old note ${i}`, time })) });
+
+    const texts = [];
+    let next;
+    do {
+        const { body } = await client("/api/cases/notes", { caseId: oldCase, before: next });
+        texts.push(...body.notes.map(n => n.text));
+        next = body.next;
+    } while (next);
+    assert.equal(texts.length, 25);
+    assert.equal(new Set(texts).size, 25);
+});
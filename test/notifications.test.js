@@ -0,0 +1,95 @@
+// test/notifications.test.js
+// The notifier on an in-memory store, with capture transports in place of real email and SMS.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStorage, createLocalDriver } = require("../lib/storage");
+const { createNotifier, createCaptureTransport } = require("../lib/notifications");
+
+const MINUTE = 60 * 1000;
+
+function setup(options = {}) {
+    const store = createStorage(createLocalDriver());
+    const notifier = createNotifier({
+        store,
+        transports: { email: createCaptureTransport("unused"), sms: createCaptureTransport("unused") },
+        log: () => {},
+        ...options
+    });
+    const email = createCaptureTransport("test-email");
+    const sms = createCaptureTransport("test-sms");
+    notifier.setTransport("email", email);
+    notifier.setTransport("sms", sms);
+    return { store, notifier, email, sms };
+}
+
+const client = {
+    id: "USER-1", email: "asha@example.com", phone: "+919876543210",
+    notificationPrefs: { email: true, sms: true, inApp: true }
+};
+
+test("a template goes out on each channel the recipient has switched on, and is logged", async () => {
+    const { store, notifier, email, sms } = setup();
+    await notifier.notify("status-changed", client, { caseId: "CASE-1", status: "Filed" });
+
+    assert.equal(email.sent.length, 1);
+    assert.equal(email.sent[0].to, "asha@example.com");
+    assert.equal(email.sent[0].subject, "Case Update: Status Changed");
+    assert.match(email.sent[0].text, /The status for case \(CASE-1\) has been updated to Filed\./);
+    assert.deepEqual(sms.sent.map(m => [m.to, m.text]), [["+919876543210", "CourtEase: case CASE-1 is now Filed."]]);
+
+    const inbox = await store.findNotifications("USER-1");
+    assert.deepEqual(inbox.map(n => [n.title, n.link, n.read]), [["Status changed", "/track?caseId=CASE-1", false]]);
+
+    const { deliveries } = await notifier.listDeliveries();
+    assert.deepEqual(deliveries.map(d => [d.channel, d.template, d.status, d.attempts, d.transport, d.providerId]).sort(), [
+        ["email", "status-changed", "sent", 1, "test-email", "test-email-1"],
+        ["sms", "status-changed", "sent", 1, "test-sms", "test-sms-1"]
+    ]);
+    assert.equal(deliveries.find(d => d.channel === "sms").text, "CourtEase: case CASE-1 is now Filed.");
+});
+
+test("channels the recipient has switched off are not used, except for essential email", async () => {
+    const { notifier, email, sms } = setup();
+    const quiet = { ...client, notificationPrefs: { email: false, sms: false, inApp: false } };
+    await notifier.notify("status-changed", quiet, { caseId: "CASE-1", status: "Filed" });
+    assert.equal(email.sent.length + sms.sent.length, 0);
+
+    await notifier.notify("password-reset", quiet, { link: "https://courtease.example/reset" });
+    assert.deepEqual(email.sent.map(m => m.subject), ["Reset your CourtEase password"]);
+});
+
+test("a failing send is retried with backoff, then marked failed at maxAttempts", async () => {
+    const { notifier } = setup({ maxAttempts: 3 });
+    let calls = 0;
+    notifier.setTransport("email", { name: "broken", async send() { calls++; throw new Error("SMTP down"); } });
+    const quiet = { ...client, notificationPrefs: { email: true, sms: false, inApp: false } };
+    const [first] = await notifier.notify("status-changed", quiet, { caseId: "CASE-1", status: "Filed" });
+
+    assert.equal(first.status, "retrying");
+    assert.equal(first.attempts, 1);
+    assert.equal(first.lastError, "SMTP down");
+
+    // Not due yet: nothing is retried
+    assert.deepEqual(await notifier.processRetries(new Date()), { retried: 0, sent: 0, failed: 0 });
+
+    let now = Date.now() + 2 * MINUTE;
+    assert.deepEqual(await notifier.processRetries(new Date(now)), { retried: 1, sent: 0, failed: 0 });
+    now += 10 * MINUTE;
+    assert.deepEqual(await notifier.processRetries(new Date(now)), { retried: 1, sent: 0, failed: 1 });
+    assert.equal(calls, 3);
+
+    const { deliveries: [failed] } = await notifier.listDeliveries({ status: "failed" });
+    assert.equal(failed.id, first.id);
+    assert.equal(failed.attempts, 3);
+    assert.equal(failed.nextAttemptAt, null);
+    assert.deepEqual(await notifier.processRetries(new Date(now + 24 * 60 * MINUTE)), { retried: 0, sent: 0, failed: 0 });
+
+    // An admin can still retry it by hand once the transport works again
+    const email = createCaptureTransport("fixed");
+    notifier.setTransport("email", email);
+    const retried = await notifier.retry(first.id);
+    assert.equal(retried.status, "sent");
+    assert.equal(retried.attempts, 4);
+    assert.equal(email.sent.length, 1);
+});
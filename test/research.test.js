@@ -0,0 +1,88 @@
+// test/research.test.js
+// A case's research list: entries and their notes, the citation export, and edits that must not lose
+// judgments added meanwhile. Who may change the list at all is in access.test.js.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let ctx, client, lawyer, caseId;
+before(async () => {
+    ctx = await startApp();
+    ({ client, lawyer, caseId } = await ctx.caseWithCounsel("Research", { accepted: true }));
+});
+after(() => ctx.close());
+
+test("a search result is saved linked and once, and changed by whoever added it or by counsel", async () => {
+    const judgment = { title: "Ram Kumar vs Shyam Lal", court: "Delhi High Court", judgmentId: "101" };
+    const { body: added } = await client("/api/cases/research/add", { caseId, judgment, note: "  Same facts  " });
+    assert.equal(added.judgment.link, "https://indiankanoon.org/doc/101/");
+    assert.equal(added.judgment.verified, true);
+    assert.equal(added.judgment.note, "Same facts");
+    assert.equal(added.judgment.addedBy, client.user.id);
+    assert.equal((await lawyer("/api/cases/research/add", { caseId, judgment })).status, 409);
+    assert.equal((await client("/api/cases/research/add", { caseId, judgment: { court: "Delhi High Court" } })).status, 400);
+
+    const { body: counsels } = await lawyer("/api/cases/research/add", { caseId, judgment: { title: "Counsel v. State" } });
+    assert.equal(counsels.judgment.verified, false);
+    assert.equal((await client("/api/cases/research/update", { caseId, id: counsels.judgment.id, note: "x" })).status, 403);
+    assert.equal((await client("/api/cases/research/remove", { caseId, id: counsels.judgment.id })).status, 403);
+    const { body: edited } = await lawyer("/api/cases/research/update", { caseId, id: added.judgment.id, relevance: "Directly in point" });
+    assert.equal(edited.judgment.relevance, "Directly in point");
+    // A relevance-only edit keeps the note
+    assert.equal(edited.judgment.note, "Same facts");
+});
+
+test("the citation export does not let a cell run as a spreadsheet formula", async () => {
+    await client("/api/cases/research/add", { caseId, judgment: { title: '=HYPERLINK("http://x")' }, note: "@SUM(A1)" });
+    const { status, body } = await client(`/api/cases/${caseId}/research/export`, null, { method: "GET" });
+    assert.equal(status, 200);
+    assert.match(body, /"'=HYPERLINK\(""http:\/\/x""\)"/);
+    assert.match(body, /"'@SUM\(A1\)"/);
+    assert.doesNotMatch(body, /(^|,)"[=+\-@]/m);
+});
+
+test("a judgment added while another is being edited or removed is kept", async () => {
+    const { body: { judgment: first } } = await client("/api/cases/research/add", { caseId, judgment: { title: "First v. State" } });
+    const { body: { judgment: second } } = await client("/api/cases/research/add", { caseId, judgment: { title: "Second v. State" } });
+
+    // Someone else's add lands after the route has read the case and before it writes
+    const getCase = ctx.store.getCase;
+    const addMeanwhile = (title) => {
+        ctx.store.getCase = async (id) => {
+            ctx.store.getCase = getCase;
+            const found = await getCase(id);
+            await ctx.store.addJudgment(id, { id: title, title, source: "search", addedBy: client.user.id });
+            return found;
+        };
+    };
+    addMeanwhile("Meanwhile v. State");
+    assert.equal((await client("/api/cases/research/update", { caseId, id: first.id, note: "Key authority" })).status, 200);
+    addMeanwhile("Later v. State");
+    assert.equal((await client("/api/cases/research/remove", { caseId, id: second.id })).status, 200);
+
+    const { body: { cases } } = await client("/api/get-cases", {});
+    const titles = cases.find(c => c.caseId === caseId).judgments.map(j => j.title);
+    assert.ok(titles.includes("Meanwhile v. State") && titles.includes("Later v. State"));
+    assert.ok(titles.includes("First v. State") && !titles.includes("Second v. State"));
+});
+
+test("the relevance of an entry is capped like its note", async () => {
+    const long = "relevant ".repeat(400);
+    const { body: added } = await client("/api/cases/research/add", { caseId, judgment: { title: "Long v. Short", relevance: long } });
+    assert.equal(added.judgment.relevance.length, 2000);
+    const { body: updated } = await client("/api/cases/research/update", { caseId, id: added.judgment.id, relevance: long, note: long });
+    assert.equal(updated.judgment.relevance.length, 2000);
+    assert.equal(updated.judgment.note.length, 2000);
+});
+
+test("entries saved before they had ids can still be edited and removed", async () => {
+    const { body: { caseId: oldCase } } = await client("/api/save-case", { data: { summary: "Eviction", facts: "1. Rent was not paid." } });
+    await ctx.store.updateCase(oldCase, { judgments: [{ title: "Old One v. State" }, { title: "Old Two v. State" }] });
+
+    assert.equal((await client("/api/cases/research/remove", { caseId: oldCase, id: "0" })).status, 200);
+    const { body } = await client("/api/cases/research/update", { caseId: oldCase, id: "1", note: "Still good law" });
+    assert.equal(body.judgment.title, "Old Two v. State");
+    assert.equal(body.judgment.note, "Still good law");
+    assert.equal((await client("/api/cases/research/update", { caseId: oldCase, id: "0", note: "x" })).status, 404);
+});
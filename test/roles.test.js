@@ -0,0 +1,37 @@
+// test/roles.test.js
+// Who can become an Admin: only the bootstrap account and whoever an admin makes one.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let ctx, admin, client;
+before(async () => {
+    ctx = await startApp();
+    admin = await ctx.user("Admin", "Admin");
+    client = await ctx.user("Roles Client", "Litigant");
+});
+after(() => ctx.close());
+
+const account = { name: "Would Be Admin", email: "would.be.admin@test.local", password: "password123", role: "Admin" };
+
+test("the first admin comes from the bootstrap settings", () => {
+    assert.equal(admin.user.role, "Admin");
+    assert.equal(admin.user.email, "admin@test.local");
+});
+
+test("nobody can register themselves as an Admin", async () => {
+    const res = await fetch(ctx.url("/api/register"), {
+        method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(account)
+    });
+    assert.equal(res.status, 403);
+    assert.equal((await client("/api/register", account)).status, 403);
+    assert.equal((await client("/api/login", account)).status, 401);
+});
+
+test("an admin can register another admin", async () => {
+    assert.deepEqual((await admin("/api/register", account)).body, { success: true });
+    const { status, body } = await admin("/api/login", account);
+    assert.equal(status, 200);
+    assert.equal(body.user.role, "Admin");
+});
@@ -0,0 +1,110 @@
+// test/schema.test.js
+// Structured AI output: schema validation (lib/schema) and the one repair round in lib/ai, with
+// Gemini's HTTP endpoint answered by the test.
+
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const schemas = require("../lib/schema");
+const { createAIClient, AIError, HTTP_STATUS } = require("../lib/ai");
+
+const SWOT = {
+    type: "object",
+    properties: {
+        summary: { type: "string", required: true, description: "one paragraph" },
+        strengths: {
+            type: "array", default: [], maxItems: 3,
+            items: { type: "object", shorthand: "point", properties: {
+                point: { type: "string", required: true },
+                confidence: { type: "string", enum: ["High", "Medium", "Low"], default: "Medium" }
+            } }
+        },
+        score: { type: "number", min: 0, max: 100 },
+        urgent: { type: "boolean", default: false }
+    }
+};
+
+test("near misses are coerced and missing optional fields take their defaults", () => {
+    const { value, errors } = schemas.validate(SWOT, {
+        summary: ["Loan given.", "Not repaid."],
+        strengths: ["Written acknowledgment", { point: "Bank transfer", confidence: "high" }, "A", "B"],
+        score: "140%",
+        urgent: "yes",
+        extra: "dropped"
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, {
+        summary: "Loan given.\nNot repaid.",
+        strengths: [{ point: "Written acknowledgment", confidence: "Medium" }, { point: "Bank transfer", confidence: "High" }, { point: "A", confidence: "Medium" }],
+        score: 100,
+        urgent: true
+    });
+    assert.deepEqual(schemas.validate(SWOT, { summary: "x" }).value, { summary: "x", strengths: [], urgent: false });
+});
+
+test("what cannot be coerced is reported by path", () => {
+    const { errors } = schemas.validate(SWOT, { summary: " ", strengths: [{ confidence: "Certain" }], score: "high", urgent: 3 });
+    assert.deepEqual(errors, [
+        "$.summary: is required",
+        "$.strengths[0].point: is required",
+        "$.strengths[0].confidence: must be one of High, Medium, Low",
+        "$.score: expected a number",
+        "$.urgent: expected true or false"
+    ]);
+    assert.deepEqual(schemas.validate(SWOT, "just text").errors, ["$: expected an object"]);
+});
+
+test("the shape described to the model comes from the field descriptions", () => {
+    assert.deepEqual(JSON.parse(schemas.describe(SWOT)), {
+        summary: "<one paragraph>",
+        strengths: [{ point: "...", confidence: "High | Medium | Low" }],
+        score: 0,
+        urgent: false
+    });
+});
+
+// Gemini answers each request with the next of `replies`; the request bodies are kept
+const realFetch = globalThis.fetch;
+function gemini(replies) {
+    const requests = [];
+    globalThis.fetch = async (url, init) => {
+        requests.push(JSON.parse(init.body));
+        const text = replies[requests.length - 1];
+        return new Response(JSON.stringify({ candidates: [{ content: { role: "model", parts: [{ text }] }, finishReason: "STOP" }] }), {
+            status: 200, headers: { "Content-Type": "application/json" }
+        });
+    };
+    const ai = createAIClient({ provider: "gemini", apiKey: "test-key", retryBaseMs: 0 });
+    return { ai, requests };
+}
+afterEach(() => { globalThis.fetch = realFetch; });
+
+const request = { task: "swot", prompt: "Case:\nA loan was not repaid.", schema: SWOT };
+
+test("a reply that does not fit the schema gets one repair round", async () => {
+    const { ai, requests } = gemini(['{"strengths": [{"confidence": "Certain"}]}', '```json\n{"summary": "Loan not repaid", "strengths": ["Receipt"]}\n```']);
+    const stages = [];
+    const value = await ai.generateJSON({ ...request, onStage: (s) => stages.push(s) });
+
+    assert.deepEqual(value, { summary: "Loan not repaid", strengths: [{ point: "Receipt", confidence: "Medium" }], urgent: false });
+    assert.deepEqual(stages, ["repairing"]);
+    assert.equal(requests.length, 2);
+    // The model sees its own answer and what was wrong with it
+    const [, answer, repair] = requests[1].contents;
+    assert.equal(answer.role, "model");
+    assert.match(answer.parts[0].text, /Certain/);
+    assert.match(repair.parts[0].text, /\$\.summary: is required/);
+    assert.match(repair.parts[0].text, /"summary": "<one paragraph>"/);
+});
+
+test("when the repair fails too, the caller gets a typed error", async () => {
+    const { ai, requests } = gemini(['{"strengths": 5}', '{"summary": ""}']);
+    const err = await ai.generateJSON(request).catch(e => e);
+    assert.ok(err instanceof AIError);
+    assert.equal(err.code, "AI_INVALID_OUTPUT");
+    assert.equal(HTTP_STATUS[err.code], 502);
+    assert.deepEqual(err.toJSON().issues, ["$.summary: is required"]);
+    assert.equal(requests.length, 2);
+
+    const { ai: broken } = gemini(["The loan was not repaid.", "Still not JSON"]);
+    assert.equal((await broken.generateJSON(request).catch(e => e)).code, "AI_BAD_JSON");
+});
@@ -0,0 +1,39 @@
+// test/session.test.js
+// Signed sessions: the cookie and bearer token, and cookies that are not ours.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let ctx, session;
+before(async () => {
+    ctx = await startApp();
+    const client = await ctx.user("Session Client", "Litigant");
+    const res = await fetch(ctx.url("/api/login"), {
+        method: "POST", headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: client.user.email, password: "password123" })
+    });
+    session = res.headers.get("set-cookie").split(";")[0];
+});
+after(() => ctx.close());
+
+const me = (cookie) => fetch(ctx.url("/api/me"), { method: "POST", headers: { Cookie: cookie } });
+
+test("the session cookie signs the user in", async () => {
+    assert.match(session, /^ce_session=/);
+    const res = await me(session);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).user.name, "Session Client");
+});
+
+test("a cookie that is not valid percent-encoding is ignored", async () => {
+    assert.equal((await me("ce_session=%E0%A4")).status, 401);
+    assert.equal((await me(`theme=%E0%A4; ${session}`)).status, 200);
+});
+
+test("a forged token is rejected", async () => {
+    const [name, token] = session.split("=");
+    const [header, , signature] = token.split(".");
+    const payload = Buffer.from(JSON.stringify({ sub: "USER-someone-else", role: "Admin" })).toString("base64url");
+    assert.equal((await me(`${name}=${header}.${payload}.${signature}`)).status, 401);
+});
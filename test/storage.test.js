@@ -0,0 +1,81 @@
+// test/storage.test.js
+// The storage facade on the local driver: accounts, records mirrored to a JSON file, and queries.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage, createLocalDriver } = require("../lib/storage");
+
+test("accounts keep a password hash, never the password", async () => {
+    const driver = createLocalDriver();
+    const store = createStorage(driver);
+    const user = await store.createUser({ name: "Asha", email: "asha@example.com", password: "password123", role: "Litigant" });
+    assert.equal(user.role, "Litigant");
+    assert.deepEqual(user.stats, { cases: 0, docs: 0 });
+
+    const account = await driver.get("accounts", user.id);
+    assert.notEqual(account.passwordHash, "password123");
+    assert.equal("password" in account || "password" in (await store.getUser(user.id)), false);
+
+    assert.equal((await store.verifyCredentials("asha@example.com", "password123")).id, user.id);
+    await assert.rejects(store.verifyCredentials("asha@example.com", "wrong"), /Invalid Credentials/);
+    await assert.rejects(store.createUser({ name: "Again", email: "asha@example.com", password: "x" }), /EMAIL_EXISTS/);
+
+    await store.setUserDisabled(user.id, true);
+    await assert.rejects(store.verifyCredentials("asha@example.com", "password123"), /USER_DISABLED/);
+    assert.equal((await store.getUser(user.id)).disabled, true);
+});
+
+test("a JSON file keeps the data across restarts", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "courtease-storage-"));
+    const filePath = path.join(dir, "nested", "db.json");
+    try {
+        const store = createStorage(createLocalDriver({ filePath }));
+        assert.equal(store.driver, "local-file");
+        await store.createCase({ caseId: "CASE-1", userId: "USER-1", summary: "Recovery of a loan", stats: { docs: 0 } });
+        await store.updateCase("CASE-1", { "stats.docs": 2, status: "Filed" });
+        await store.increment("cases", "CASE-1", "stats.docs");
+        await store.addJudgment("CASE-1", { id: "j1", title: "Ram v. Shyam" });
+        await store.addNote("CASE-1", { text: "Call the client", createdAt: "2026-10-01T10:00:00.000Z" });
+
+        const reopened = createStorage(createLocalDriver({ filePath }));
+        const c = await reopened.getCase("CASE-1");
+        assert.equal(c.status, "Filed");
+        assert.equal(c.stats.docs, 3);
+        assert.deepEqual(c.judgments, [{ id: "j1", title: "Ram v. Shyam" }]);
+        assert.deepEqual((await reopened.listNotes("CASE-1")).map(n => n.text), ["Call the client"]);
+
+        await reopened.deleteCase("CASE-1");
+        assert.equal(await reopened.getCase("CASE-1"), null);
+        assert.deepEqual(await reopened.listNotes("CASE-1"), []);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("records handed out are copies, so changing one does not change what is stored", async () => {
+    const store = createStorage(createLocalDriver());
+    assert.equal(store.driver, "memory");
+    const c = await store.createCase({ caseId: "CASE-1", details: { court: "District Court" } });
+    c.details.court = "Changed";
+    (await store.getCase("CASE-1")).details.court = "Changed again";
+    assert.equal((await store.getCase("CASE-1")).details.court, "District Court");
+    await assert.rejects(store.updateCase("CASE-404", { status: "Filed" }), /No document cases\/CASE-404/);
+});
+
+test("find filters, orders and pages", async () => {
+    const store = createStorage(createLocalDriver());
+    for (const [id, userId, createdAt] of [["a", "U1", "2026-10-03"], ["b", "U2", "2026-10-01"], ["c", "U1", "2026-10-02"], ["d", "U1", "2026-10-02"]]) {
+        await store.insert("things", { userId, createdAt }, id);
+    }
+    assert.deepEqual((await store.find("things", { where: { userId: "U1" } })).map(t => t.id).sort(), ["a", "c", "d"]);
+
+    const ids = async (options) => (await store.find("things", { orderBy: "createdAt", ...options })).map(t => t.id);
+    assert.deepEqual(await ids({}), ["b", "c", "d", "a"]);
+    assert.deepEqual(await ids({ direction: "desc" }), ["a", "d", "c", "b"]);
+    assert.deepEqual(await ids({ direction: "desc", limit: 2 }), ["a", "d"]);
+    assert.deepEqual(await ids({ direction: "desc", after: "2026-10-02" }), ["b"]);
+    assert.deepEqual(await ids({ direction: "desc", after: ["2026-10-02", "d"] }), ["c", "b"]);
+});
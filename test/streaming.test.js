@@ -0,0 +1,68 @@
+// test/streaming.test.js
+// The server-sent event endpoints for the assistant and case analysis, on the stub AI provider.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, parseEvents } = require("./helpers");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let ctx, client, caseId;
+before(async () => {
+    ctx = await startApp();
+    client = await ctx.user("Stream Client", "Litigant");
+    ({ body: { caseId } } = await client("/api/save-case", { data: { summary: "Recovery of a loan", facts: "1. A loan was not repaid." } }));
+});
+after(() => ctx.close());
+
+const stream = (path, body, signal) => fetch(ctx.url(path), {
+    method: "POST", signal,
+    headers: { Authorization: `Bearer ${client.token}`, "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+});
+
+test("the assistant streams its answer in tokens, then the result", async () => {
+    const res = await stream("/api/chat/stream", { msg: "Can I recover a loan given in cash?" });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+    const events = parseEvents(await res.text());
+    const tokens = events.filter(e => e.event === "token");
+    assert.ok(tokens.length > 1);
+    const result = events[events.length - 1];
+    assert.equal(result.event, "result");
+    assert.equal(tokens.map(e => e.data.text).join(""), result.data.reply);
+    assert.ok(result.data.threadId);
+});
+
+test("analysis reports its stages and saves to the case", async () => {
+    const res = await stream("/api/analyze/stream", { text: "A loan of Rs. 50,000 was not repaid.", caseId });
+    const events = parseEvents(await res.text());
+    assert.deepEqual(events.filter(e => e.event === "stage").map(e => e.data.stage), ["analysing", "saving"]);
+    const streamed = events.filter(e => e.event === "token").map(e => e.data.text).join("");
+    const { data: result } = events[events.length - 1];
+    assert.deepEqual(JSON.parse(streamed).strengths, result.data.strengths);
+    assert.equal(result.analysis.inputFacts, "A loan of Rs. 50,000 was not repaid.");
+});
+
+test("a request refused before streaming starts gets a plain JSON error", async () => {
+    const res = await stream("/api/analyze/stream", { text: " " });
+    assert.equal(res.status, 400);
+    assert.match(res.headers.get("content-type"), /^application\/json/);
+    assert.equal((await res.json()).message, "Case facts are required");
+    assert.equal((await stream("/api/chat/stream", { msg: "Hi", caseId: "CASE-missing" })).status, 404);
+});
+
+test("closing the stream cancels the answer, and a cancelled first message saves no thread", async () => {
+    const threads = async () => (await client("/api/chat/threads", {})).body.threads.length;
+    const count = await threads();
+
+    const controller = new AbortController();
+    const res = await stream("/api/chat/stream", { msg: "Explain summary suits under Order XXXVII of the Code of Civil Procedure, step by step, with the limitation period for each" }, controller.signal);
+    const reader = res.body.getReader();
+    const { value } = await reader.read();
+    assert.match(Buffer.from(value).toString(), /^event: token/);
+    controller.abort();
+
+    await sleep(300);
+    assert.equal(await threads(), count);
+});
@@ -0,0 +1,88 @@
+// test/upload.test.js
+// The upload flow end to end on the stub AI provider: analysis, streaming, saving as a case.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, parseEvents } = require("./helpers");
+
+const NOTICE = "LEGAL NOTICE\nMy client lent Rs. 2,00,000 to you on 5 January 2026.\nYou promised to repay it by 5 April 2026.\nNo amount has been repaid.";
+
+let ctx, client;
+before(async () => {
+    ctx = await startApp();
+    client = await ctx.user("Upload Client", "Litigant");
+});
+after(() => ctx.close());
+
+test("an uploaded document is analysed against the schema", async () => {
+    const { status, body } = await client("/api/upload", ctx.fileForm("notice.txt", NOTICE));
+    assert.equal(status, 200, JSON.stringify(body));
+    const { data, documentId } = body;
+    assert.ok(documentId);
+    assert.match(data.summary, /^Stub summary \([0-9a-f]{8}\): LEGAL NOTICE/);
+    assert.equal(data.facts.split("\n").length, 4);
+    assert.match(data.facts, /^1\. LEGAL NOTICE\n2\. My client lent/);
+    assert.deepEqual(data.solutions, ["Consult a lawyer with the document", "Collect supporting evidence"]);
+    assert.equal(data.source.extractionMethod, "plain-text");
+    // No search token here, so the suggestion cannot be verified and says why
+    assert.equal(data.judgments[0].title, "Kesavananda Bharati v. State of Kerala");
+    assert.equal(data.judgments[0].verified, false);
+    assert.ok(data.judgments[0].verificationNote);
+    // Schema defaults fill in what the stub leaves out
+    assert.equal(data.details.title, "");
+    assert.deepEqual(data.details.petitioners, []);
+
+    // The stub is deterministic
+    const again = await client("/api/upload", ctx.fileForm("notice.txt", NOTICE));
+    assert.equal(again.body.data.summary, data.summary);
+});
+
+test("the streaming upload reports stages and tokens before the result", async () => {
+    const { status, body } = await client("/api/upload/stream", ctx.fileForm("notice.txt", NOTICE));
+    assert.equal(status, 200);
+    const events = parseEvents(body);
+    const stages = events.filter(e => e.event === "stage").map(e => e.data.stage);
+    assert.deepEqual(stages, ["extracting", "summarising", "finding-judgments", "verifying", "saving"]);
+    const streamed = events.filter(e => e.event === "token").map(e => e.data.text).join("");
+    const result = events[events.length - 1];
+    assert.equal(result.event, "result");
+    assert.equal(JSON.parse(streamed).summary, result.data.data.summary);
+});
+
+test("an unsupported file is refused before the model is called", async () => {
+    const form = new FormData();
+    form.append("document", new Blob([Buffer.from([0, 1, 2, 3])], { type: "application/zip" }), "archive.zip");
+    const { status, body } = await client("/api/upload", form);
+    assert.equal(status, 415);
+    assert.equal(body.success, false);
+});
+
+test("a saved upload becomes a case with the original linked to it", async () => {
+    const { body: uploaded } = await client("/api/upload", ctx.fileForm("notice.txt", NOTICE));
+    const saved = await client("/api/save-case", { data: uploaded.data, documentIds: [uploaded.documentId] });
+    assert.equal(saved.status, 200);
+    const { caseId } = saved.body;
+
+    const { body } = await client("/api/get-cases", {});
+    const found = body.cases.find(c => c.caseId === caseId);
+    assert.equal(found.summary, uploaded.data.summary);
+    assert.equal(found.status, "Submitted");
+    assert.equal(found.judgments.length, 1);
+
+    const { body: docs } = await client("/api/cases/documents", { caseId });
+    assert.deepEqual(docs.documents.map(d => d.id), [uploaded.documentId]);
+    assert.equal(ctx.readDb().documents[uploaded.documentId].caseId, caseId);
+});
+
+test("a judgment saved with a case counts as verified only with a real document id, linked by the server", async () => {
+    const { body: uploaded } = await client("/api/upload", ctx.fileForm("notice.txt", NOTICE));
+    const data = { ...uploaded.data, judgments: [
+        { title: "Made Up v. State", verified: true, judgmentId: "abc", link: "javascript:alert(1)" },
+        { title: "Ram Kumar vs Shyam Lal", judgmentId: "101", link: "https://example.com/fake", matchedBy: "user" }
+    ] };
+    const { body: { caseId } } = await client("/api/save-case", { data });
+    const { body } = await client("/api/get-cases", {});
+    const [madeUp, picked] = body.cases.find(c => c.caseId === caseId).judgments;
+    assert.deepEqual([madeUp.verified, madeUp.judgmentId, madeUp.link], [false, null, null]);
+    assert.deepEqual([picked.verified, picked.matchedBy, picked.link], [true, "user", "https://indiankanoon.org/doc/101/"]);
+});
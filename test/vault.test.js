@@ -0,0 +1,90 @@
+// test/vault.test.js
+// Encryption at rest: what actually lands on disk, and key rotation.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startApp, testKey } = require("./helpers");
+const { createVault } = require("../lib/vault");
+
+const FACTS = "The tenant paid rent of Rs. 20,000 on 1 March 2026.\nThe landlord refused to issue a receipt.";
+const NOTE = "Client has the bank statement showing the transfer";
+
+let ctx;
+before(async () => { ctx = await startApp({ VAULT_KEYS: `k1:${testKey()}` }); });
+after(() => ctx.close());
+
+test("uploads, case facts and notes are stored as ciphertext", async () => {
+    const client = await ctx.user("Vault Client", "Litigant");
+    const uploaded = await client("/api/upload", ctx.fileForm("rent.txt", FACTS));
+    assert.equal(uploaded.status, 200, JSON.stringify(uploaded.body));
+    const { data, documentId } = uploaded.body;
+    const saved = await client("/api/save-case", { data, documentIds: [documentId] });
+    assert.equal(saved.status, 200);
+    const { caseId } = saved.body;
+    assert.equal((await client("/api/cases/add-note", { caseId, note: NOTE })).status, 200);
+
+    const db = ctx.readDb();
+    const doc = db.documents[documentId];
+    const raw = fs.readFileSync(path.join(ctx.uploadDir, doc.storageKey));
+    assert.equal(raw.subarray(0, 4).toString(), "CEV1");
+    assert.equal(raw.includes(Buffer.from("landlord refused")), false);
+    assert.equal(doc.keyId, "k1");
+
+    assert.match(db.cases[caseId].facts, /^enc:v1:k1:/);
+    assert.equal(db.cases[caseId].facts.includes("landlord"), false);
+    const notes = Object.values(db[`cases/${caseId}/notes`]);
+    assert.equal(notes.length, 1);
+    assert.match(notes[0].text, /^enc:v1:k1:/);
+
+    // ...and read back in the clear by someone allowed to see them
+    const { body } = await client("/api/get-cases", {});
+    assert.match(body.cases.find(c => c.caseId === caseId).facts, /landlord refused/);
+    const download = await client(`/api/documents/${documentId}/download`, null, { method: "GET" });
+    assert.equal(download.status, 200);
+    assert.equal(download.body, FACTS);
+});
+
+test("text that only looks sealed is sealed like any other and reads back as typed", async () => {
+    const forged = "enc:v1:k1:AAAA:AAAA:AAAA";
+    const client = await ctx.user("Forging Client", "Litigant");
+    const { body: { caseId } } = await client("/api/save-case", { data: { summary: "Looks sealed", facts: forged } });
+    assert.equal((await client("/api/cases/add-note", { caseId, note: forged })).status, 200);
+
+    const db = ctx.readDb();
+    assert.notEqual(db.cases[caseId].facts, forged);
+    assert.match(db.cases[caseId].facts, /^enc:v1:k1:/);
+    assert.notEqual(Object.values(db[`cases/${caseId}/notes`])[0].text, forged);
+
+    const { status, body } = await client("/api/get-cases", {});
+    assert.equal(status, 200);
+    assert.equal(body.cases.find(c => c.caseId === caseId).facts, forged);
+    assert.deepEqual((await client("/api/cases/notes", { caseId })).body.notes.map(n => n.text), [forged]);
+});
+
+test("rotation re-seals data under the active key and old data stays readable", () => {
+    const k1 = Buffer.from(testKey(), "base64"), k2 = Buffer.from(testKey(), "base64");
+    const old = createVault({ keys: { k1 } });
+    const sealedText = old.encryptString(NOTE);
+    const sealedFile = old.encryptBuffer(Buffer.from(FACTS));
+
+    const rotated = createVault({ keys: { k2, k1 }, activeKeyId: "k2" });
+    assert.equal(rotated.needsRotation(sealedText), true);
+    assert.equal(rotated.decryptString(sealedText), NOTE);
+    assert.equal(rotated.decryptBuffer(sealedFile).toString(), FACTS);
+
+    const text = rotated.rotateString(sealedText);
+    const file = rotated.rotateBuffer(sealedFile);
+    assert.equal(rotated.keyIdOf(text), "k2");
+    assert.equal(rotated.keyIdOf(file), "k2");
+    assert.equal(rotated.needsRotation(text), false);
+    assert.equal(rotated.rotateString(text), text);
+    assert.equal(rotated.decryptString(text), NOTE);
+    assert.equal(rotated.decryptBuffer(file).toString(), FACTS);
+
+    // Once k1 is dropped, only the rotated copies can be read
+    const current = createVault({ keys: { k2 } });
+    assert.equal(current.decryptString(text), NOTE);
+    assert.throws(() => current.decryptString(sealedText), /"k1" is not configured/);
+});
@@ -0,0 +1,84 @@
+// test/workflow.test.js
+// The case status workflow (lib/workflow) and the status changes made through it.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const { createWorkflow, WorkflowError } = require("../lib/workflow");
+
+const workflow = createWorkflow();
+const fails = (fn, status, message) => assert.throws(fn, (e) => e instanceof WorkflowError && e.status === status && message.test(e.message));
+
+test("only the listed moves are allowed, and a refused one names the allowed ones", () => {
+    assert.deepEqual(workflow.transitionsFrom("Submitted").map(t => t.to), ["Filed", "On Hold", "Closed"]);
+    assert.deepEqual(workflow.check("Submitted", "Filed", { reason: "  Filed today ", fields: { filingNumber: "CS/1/2026", other: "x" } }),
+        { reason: "Filed today", fields: { filingNumber: "CS/1/2026" } });
+    fails(() => workflow.check("Closed", "Submitted"), 409, /cannot move from "Closed" to "Submitted"\. Allowed: Reopened$/);
+    fails(() => workflow.check("Submitted", "Archived"), 400, /Unknown status "Archived"/);
+    assert.equal(workflow.isClosed("Closed"), true);
+});
+
+test("a move's required reason and fields are checked", () => {
+    fails(() => workflow.check("Filed", "On Hold", { reason: " " }), 400, /^A reason is required$/);
+    fails(() => workflow.check("Filed", "Closed"), 400, /^Outcome is required$/);
+    fails(() => workflow.check("Filed", "Closed", { fields: { outcome: "Won", disposalDate: "last week" } }), 400,
+        /^Outcome must be one of: Allowed, .*; Date of disposal must be a date$/);
+    assert.deepEqual(workflow.check("Filed", "Closed", { fields: { outcome: "Settled" } }), { reason: null, fields: { outcome: "Settled" } });
+});
+
+test("a case with a status from before the workflow may move to any status", () => {
+    assert.deepEqual(workflow.transitionsFrom("In Review").map(t => t.to), workflow.statuses.map(s => s.name));
+    assert.deepEqual(workflow.check("In Review", "Closed", { fields: { outcome: "Withdrawn" } }).fields, { outcome: "Withdrawn" });
+});
+
+test("a custom workflow is checked when it is loaded", () => {
+    const statuses = [{ name: "Open" }, { name: "Done", closed: true }];
+    const custom = createWorkflow({ initial: "Open", statuses, transitions: [{ from: "*", to: "Done" }] });
+    assert.deepEqual(custom.transitionsFrom("Open").map(t => t.to), ["Done"]);
+    assert.deepEqual(custom.transitionsFrom("Done"), []);
+
+    assert.throws(() => createWorkflow({ initial: "New", statuses, transitions: [] }), /Initial status "New" is not a workflow status/);
+    assert.throws(() => createWorkflow({ initial: "Open", statuses, transitions: [{ from: ["Open"], to: "Gone" }] }), /unknown status "Gone"/);
+    assert.throws(() => createWorkflow({ initial: "Open", statuses, transitions: [{ from: ["Open"], to: "Done" }, { from: "*", to: "Done" }] }), /listed twice/);
+    assert.throws(() => createWorkflow({ initial: "Open", statuses, transitions: [{ from: ["Open"], to: "Done", fields: [{ key: "why", label: "Why", type: "select" }] }] }), /needs options/);
+});
+
+let ctx, client, lawyer, caseId;
+before(async () => {
+    ctx = await startApp();
+    client = await ctx.user("Workflow Client", "Litigant");
+    lawyer = await ctx.user("Workflow Counsel", "Lawyer");
+    ({ body: { caseId } } = await client("/api/save-case", { data: { summary: "Recovery of a loan", facts: "1. A loan was not repaid." } }));
+    await client("/api/cases/request-lawyer", { caseId, lawyerId: lawyer.user.id });
+    await lawyer("/api/cases/respond-request", { caseId, accept: true });
+});
+after(() => ctx.close());
+
+const theCase = async () => (await client("/api/get-cases", {})).body.cases.find(c => c.caseId === caseId);
+
+test("counsel moves the case along the workflow, and every move is kept with who made it and why", async () => {
+    const { body: open } = await client("/api/cases/workflow", { caseId });
+    assert.equal(open.status, "Submitted");
+    assert.deepEqual(open.transitions.map(t => t.to), ["Filed", "On Hold", "Closed"]);
+
+    assert.equal((await lawyer("/api/cases/update-status", { caseId, status: "Filed", reason: "Plaint filed", fields: { filingNumber: "CS/123/2026" } })).status, 200);
+    const refused = await lawyer("/api/cases/update-status", { caseId, status: "Reopened" });
+    assert.equal(refused.status, 409);
+    assert.equal((await lawyer("/api/cases/update-status", { caseId, status: "Closed" })).status, 400);
+    assert.equal((await lawyer("/api/cases/update-status", { caseId, status: "Closed", fields: { outcome: "Settled" } })).status, 200);
+
+    const c = await theCase();
+    assert.equal(c.status, "Closed");
+    assert.equal(c.details.filingNumber, "CS/123/2026");
+    assert.deepEqual(c.statusHistory.map(h => [h.from, h.to, h.by.id, h.reason]), [
+        ["Submitted", "Filed", lawyer.user.id, "Plaint filed"],
+        ["Filed", "Closed", lawyer.user.id, null]
+    ]);
+    assert.deepEqual(c.statusHistory[1].fields, { outcome: "Settled" });
+});
+
+test("the client cannot change the status", async () => {
+    const { status } = await client("/api/cases/update-status", { caseId, status: "Reopened", reason: "Appeal" });
+    assert.equal(status, 403);
+    assert.equal((await theCase()).status, "Closed");
+});